@@ -0,0 +1,115 @@
+// flow-typed signature: 98e4f939c70e823bf982ad42ae64f8be
+// flow-typed version: <<STUB>>/cbor-x_v^1.6.6/flow_v0.91.0
+
+/**
+ * This is an autogenerated libdef stub for:
+ *
+ *   'cbor-x'
+ *
+ * Fill this stub out by replacing all the `any` types.
+ *
+ * Once filled out, we encourage you to share your work with the
+ * community by sending a pull request to:
+ * https://github.com/flowtype/flow-typed
+ */
+
+declare module 'cbor-x' {
+  declare module.exports: any;
+}
+
+/**
+ * We include stubs for each file inside this npm package in case you need to
+ * require those files directly. Feel free to delete any files that aren't
+ * needed.
+ */
+declare module 'cbor-x/browser' {
+  declare module.exports: any;
+}
+
+declare module 'cbor-x/decode' {
+  declare module.exports: any;
+}
+
+declare module 'cbor-x/dist/index-no-eval.min' {
+  declare module.exports: any;
+}
+
+declare module 'cbor-x/dist/index' {
+  declare module.exports: any;
+}
+
+declare module 'cbor-x/dist/index.min' {
+  declare module.exports: any;
+}
+
+declare module 'cbor-x/dist/test' {
+  declare module.exports: any;
+}
+
+declare module 'cbor-x/encode' {
+  declare module.exports: any;
+}
+
+declare module 'cbor-x/iterators' {
+  declare module.exports: any;
+}
+
+declare module 'cbor-x/node-index' {
+  declare module.exports: any;
+}
+
+declare module 'cbor-x/rollup.config' {
+  declare module.exports: any;
+}
+
+declare module 'cbor-x/stream' {
+  declare module.exports: any;
+}
+
+declare module 'cbor-x/webpack.config' {
+  declare module.exports: any;
+}
+
+// Filename aliases
+declare module 'cbor-x/browser.js' {
+  declare module.exports: $Exports<'cbor-x/browser'>;
+}
+declare module 'cbor-x/decode.js' {
+  declare module.exports: $Exports<'cbor-x/decode'>;
+}
+declare module 'cbor-x/dist/index-no-eval.min.js' {
+  declare module.exports: $Exports<'cbor-x/dist/index-no-eval.min'>;
+}
+declare module 'cbor-x/dist/index.js' {
+  declare module.exports: $Exports<'cbor-x/dist/index'>;
+}
+declare module 'cbor-x/dist/index.min.js' {
+  declare module.exports: $Exports<'cbor-x/dist/index.min'>;
+}
+declare module 'cbor-x/dist/test.js' {
+  declare module.exports: $Exports<'cbor-x/dist/test'>;
+}
+declare module 'cbor-x/encode.js' {
+  declare module.exports: $Exports<'cbor-x/encode'>;
+}
+declare module 'cbor-x/index' {
+  declare module.exports: $Exports<'cbor-x'>;
+}
+declare module 'cbor-x/index.js' {
+  declare module.exports: $Exports<'cbor-x'>;
+}
+declare module 'cbor-x/iterators.js' {
+  declare module.exports: $Exports<'cbor-x/iterators'>;
+}
+declare module 'cbor-x/node-index.js' {
+  declare module.exports: $Exports<'cbor-x/node-index'>;
+}
+declare module 'cbor-x/rollup.config.js' {
+  declare module.exports: $Exports<'cbor-x/rollup.config'>;
+}
+declare module 'cbor-x/stream.js' {
+  declare module.exports: $Exports<'cbor-x/stream'>;
+}
+declare module 'cbor-x/webpack.config.js' {
+  declare module.exports: $Exports<'cbor-x/webpack.config'>;
+}
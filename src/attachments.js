@@ -0,0 +1,284 @@
+// @flow
+import uuidv4 from 'uuid/v4';
+
+import { toBytes, utf8Decode, utf8Encode } from './codecs';
+
+export type Attachment = ArrayBuffer | Uint8Array;
+
+// Messages carry binary data as `{attachments: {[name]: bytes}}`. Text codecs
+// cannot, so the message goes out as an envelope listing the attachments under
+// the same field and each attachment follows as its own binary frame.
+export const ATTACHMENTS_FIELD = 'attachments';
+export const ATTACHMENT_ID_FIELD = 'attachment_id';
+
+export type AttachmentManifest = Array<{| name: string, size: number |}>;
+
+// Identifies which envelope a binary frame belongs to
+export type AttachmentHeader = {|
+    attachment_id: string,
+    response_id: ?string,
+    name: string,
+|};
+
+function isBinary(value: mixed) : boolean {
+    return value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+}
+
+// Only objects of binary values count, other `attachments` fields are left alone
+export function hasAttachments(obj: Object) : boolean {
+    const attachments = obj[ATTACHMENTS_FIELD];
+
+    if (!attachments || typeof attachments !== 'object' || Array.isArray(attachments)) {
+        return false;
+    }
+
+    const values = Object.keys(attachments).map(name => attachments[name]);
+
+    return values.length > 0 && values.every(isBinary);
+}
+
+export function normalizeAttachments(obj: Object) : Object {
+    if (!hasAttachments(obj)) {
+        return obj;
+    }
+
+    const attachments = {};
+
+    Object.keys(obj[ATTACHMENTS_FIELD]).forEach(name => {
+        attachments[name] = toBytes(obj[ATTACHMENTS_FIELD][name]);
+    });
+
+    return { ...obj, [ATTACHMENTS_FIELD]: attachments };
+}
+
+// Frames are a 4 byte big-endian header length, the JSON header and the raw bytes
+function packFrame(header: Object, bytes: Uint8Array) : Uint8Array {
+    const headerBytes = utf8Encode(JSON.stringify(header));
+    const frame = new Uint8Array(4 + headerBytes.length + bytes.length);
+
+    new DataView(frame.buffer).setUint32(0, headerBytes.length);
+    frame.set(headerBytes, 4);
+    frame.set(bytes, 4 + headerBytes.length);
+
+    return frame;
+}
+
+function unpackFrame(frame: Uint8Array) : { header: any, bytes: Uint8Array } {
+    if (frame.length < 4) {
+        throw new Error(`Binary frame too short (${frame.length} bytes)`);
+    }
+
+    const headerLength = new DataView(frame.buffer, frame.byteOffset, frame.byteLength).getUint32(0);
+
+    if (4 + headerLength > frame.length) {
+        throw new Error(`Binary frame header length ${headerLength} exceeds the frame`);
+    }
+
+    const header = JSON.parse(utf8Decode(frame.subarray(4, 4 + headerLength)));
+
+    return { header, bytes: frame.subarray(4 + headerLength) };
+}
+
+export function encodeAttachmentFrame(header: AttachmentHeader, bytes: Uint8Array) : Uint8Array {
+    return packFrame(header, bytes);
+}
+
+export function decodeAttachmentFrame(frame: Uint8Array) : { header: AttachmentHeader, bytes: Uint8Array } {
+    return unpackFrame(frame);
+}
+
+// Packs a whole message into one blob whatever the codec, framed like an
+// attachment with the envelope as header and the attachments back to back.
+export function encodeBundle(obj: Object) : Uint8Array {
+    if (!hasAttachments(obj)) {
+        return packFrame(obj, new Uint8Array(0));
+    }
+
+    const attachments = normalizeAttachments(obj)[ATTACHMENTS_FIELD];
+    const names = Object.keys(attachments);
+    const manifest: AttachmentManifest = names.map(name => ({ name, size: attachments[name].length }));
+    const body = new Uint8Array(manifest.reduce((total, { size }) => total + size, 0));
+
+    let offset = 0;
+    names.forEach(name => {
+        body.set(attachments[name], offset);
+        offset += attachments[name].length;
+    });
+
+    return packFrame({ ...obj, [ATTACHMENTS_FIELD]: manifest }, body);
+}
+
+export function decodeBundle(bundle: Uint8Array) : Object {
+    const { header, bytes } = unpackFrame(bundle);
+    const manifest: ?AttachmentManifest = header[ATTACHMENTS_FIELD];
+
+    if (!Array.isArray(manifest)) {
+        return header;
+    }
+
+    const attachments = {};
+    let offset = 0;
+
+    manifest.forEach(({ name, size }) => {
+        attachments[name] = bytes.subarray(offset, offset + size);
+        offset += size;
+    });
+
+    return { ...header, [ATTACHMENTS_FIELD]: attachments };
+}
+
+// Splits a message with attachments into its envelope and binary frames
+export function splitAttachments(obj: Object) : { envelope: Object, frames: Array<Uint8Array> } {
+    const attachments = normalizeAttachments(obj)[ATTACHMENTS_FIELD];
+    const names = Object.keys(attachments);
+    const attachmentId = uuidv4();
+    const responseId = obj.response_id || null;
+
+    const manifest: AttachmentManifest = names.map(name => ({ name, size: attachments[name].length }));
+
+    return {
+        envelope: { ...obj, [ATTACHMENTS_FIELD]: manifest, [ATTACHMENT_ID_FIELD]: attachmentId },
+        frames: names.map(name => encodeAttachmentFrame(
+            { attachment_id: attachmentId, response_id: responseId, name },
+            attachments[name],
+        )),
+    };
+}
+
+type PendingMessage = {|
+    envelope: ?Object,
+    parts: Map<string, Uint8Array>,
+    bytes: number,
+    expiry: TimeoutID,
+|};
+
+// Holds envelopes back until all of their attachment frames have arrived.
+// Bounded like incoming chunked transfers: messages with more than
+// `maxTransferSize` bytes of attachments are refused and incomplete ones are
+// dropped after `transferTimeout` milliseconds without a new frame.
+export class AttachmentAssembler {
+    maxTransferSize: number;
+    transferTimeout: number;
+    _pending: Map<string, PendingMessage> = new Map();
+
+    constructor(options: { maxTransferSize: number, transferTimeout: number }) {
+        this.maxTransferSize = options.maxTransferSize;
+        this.transferTimeout = options.transferTimeout;
+    }
+
+    // Returns the message once complete, null while attachments are outstanding
+    addEnvelope(obj: Object) : ?Object {
+        const attachmentId = obj[ATTACHMENT_ID_FIELD];
+        const manifest = obj[ATTACHMENTS_FIELD];
+
+        if (!attachmentId || !Array.isArray(manifest)) {
+            return obj;
+        }
+
+        const size = manifest.reduce((total, { size }) => total + size, 0);
+
+        if (!(size <= this.maxTransferSize)) {
+            this._drop(attachmentId);
+            throw new Error(`Attachments of ${size} bytes exceed the limit of ${this.maxTransferSize}`);
+        }
+
+        this._get(attachmentId).envelope = obj;
+
+        return this._complete(attachmentId);
+    }
+
+    addFrame(frame: Uint8Array) : ?Object {
+        const { header, bytes } = decodeAttachmentFrame(frame);
+
+        if (!header || typeof header.attachment_id !== 'string' || typeof header.name !== 'string') {
+            throw new Error('Attachment frame header is missing attachment_id or name');
+        }
+
+        const pending = this._get(header.attachment_id);
+        const previous = pending.parts.get(header.name);
+
+        pending.bytes += bytes.length - (previous ? previous.length : 0);
+
+        if (pending.bytes > this.maxTransferSize) {
+            this._drop(header.attachment_id);
+            throw new Error(`Attachments of message ${header.attachment_id} exceed the limit of ${this.maxTransferSize} bytes`);
+        }
+
+        pending.parts.set(header.name, bytes);
+
+        return this._complete(header.attachment_id);
+    }
+
+    // Gets the message, keeping it for another `transferTimeout`
+    _get(attachmentId: string) : PendingMessage {
+        let pending = this._pending.get(attachmentId);
+
+        if (pending) {
+            clearTimeout(pending.expiry);
+            pending.expiry = this._expire(attachmentId);
+        }
+        else {
+            this._pending.set(attachmentId, pending = {
+                envelope: null,
+                parts: new Map(),
+                bytes: 0,
+                expiry: this._expire(attachmentId),
+            });
+        }
+
+        return pending;
+    }
+
+    _expire(attachmentId: string) : TimeoutID {
+        return setTimeout(() => { this._pending.delete(attachmentId); }, this.transferTimeout);
+    }
+
+    _drop(attachmentId: string) {
+        const pending = this._pending.get(attachmentId);
+
+        if (pending) {
+            clearTimeout(pending.expiry);
+            this._pending.delete(attachmentId);
+        }
+    }
+
+    _complete(attachmentId: string) : ?Object {
+        const pending = this._pending.get(attachmentId);
+
+        if (!pending) {
+            return null;
+        }
+
+        const envelope = pending.envelope;
+
+        if (!envelope) {
+            return null;
+        }
+
+        const manifest: AttachmentManifest = envelope[ATTACHMENTS_FIELD];
+
+        if (!manifest.every(({ name }) => pending.parts.has(name))) {
+            return null;
+        }
+
+        this._drop(attachmentId);
+
+        const attachments = {};
+        manifest.forEach(({ name }) => { attachments[name] = pending.parts.get(name); });
+
+        const message = { ...envelope, [ATTACHMENTS_FIELD]: attachments };
+        delete message[ATTACHMENT_ID_FIELD];
+
+        return message;
+    }
+
+    // Forgets partially received messages, e.g. once the connection they arrived on is gone
+    clear() {
+        this._pending.forEach(pending => clearTimeout(pending.expiry));
+        this._pending.clear();
+    }
+
+    get pending() : number {
+        return this._pending.size;
+    }
+}
@@ -0,0 +1,116 @@
+// @flow
+import { MessagePackCodec } from './codecs';
+import {
+    AttachmentAssembler,
+    decodeAttachmentFrame,
+    encodeAttachmentFrame,
+    hasAttachments,
+    splitAttachments,
+} from './attachments';
+import { DEFAULT_CHUNKING_OPTIONS } from './options';
+import { createClient, sleep } from './test_helpers';
+
+describe('attachments', () => {
+    const thumb = new Uint8Array([1, 2, 3, 255]);
+
+    it('only treats binary values as attachments', () => {
+        expect(hasAttachments({ attachments: { thumb } })).toBe(true);
+        expect(hasAttachments({ attachments: { thumb: thumb.buffer } })).toBe(true);
+        expect(hasAttachments({ attachments: { thumb: 'not binary' } })).toBe(false);
+        expect(hasAttachments({ attachments: [] })).toBe(false);
+    });
+
+    it('round trips attachment frames', () => {
+        const header = { attachment_id: 'a', response_id: 'guid', name: 'thumb' };
+        const decoded = decodeAttachmentFrame(encodeAttachmentFrame(header, thumb));
+
+        expect(decoded.header).toEqual(header);
+        expect(Array.from(decoded.bytes)).toEqual([1, 2, 3, 255]);
+    });
+
+    it('reassembles messages whatever order the frames arrive in', () => {
+        const { envelope, frames } = splitAttachments({ action: 'share', attachments: { a: thumb, b: new Uint8Array([9]) } });
+        const assembler = new AttachmentAssembler(DEFAULT_CHUNKING_OPTIONS);
+
+        expect(envelope.attachments).toEqual([{ name: 'a', size: 4 }, { name: 'b', size: 1 }]);
+
+        expect(assembler.addFrame(frames[1])).toBe(null);
+        expect(assembler.addEnvelope(envelope)).toBe(null);
+
+        const message: any = assembler.addFrame(frames[0]);
+
+        expect(message.action).toBe('share');
+        expect(message.attachment_id).toBeUndefined();
+        expect(Array.from(message.attachments.a)).toEqual([1, 2, 3, 255]);
+        expect(Array.from(message.attachments.b)).toEqual([9]);
+        expect(assembler.pending).toBe(0);
+    });
+
+    it('refuses attachments over the size limit', () => {
+        const { envelope, frames } = splitAttachments({ action: 'share', attachments: { a: thumb, b: new Uint8Array([9]) } });
+        const assembler = new AttachmentAssembler({ maxTransferSize: 4, transferTimeout: 1000 });
+
+        expect(() => assembler.addEnvelope(envelope)).toThrow(/Attachments of 5 bytes exceed the limit of 4/);
+        expect(assembler.addFrame(frames[0])).toBe(null);
+        expect(() => assembler.addFrame(frames[1])).toThrow(/exceed the limit of 4 bytes/);
+        expect(assembler.pending).toBe(0);
+    });
+
+    it('forgets messages whose frames stop coming', async () => {
+        const { envelope, frames } = splitAttachments({ action: 'share', attachments: { a: thumb, b: new Uint8Array([9]) } });
+        const assembler = new AttachmentAssembler({ maxTransferSize: 100, transferTimeout: 50 });
+
+        expect(assembler.addEnvelope(envelope)).toBe(null);
+        await sleep(30);
+        expect(assembler.addFrame(frames[0])).toBe(null);
+        await sleep(30);
+        expect(assembler.pending).toBe(1);
+
+        await sleep(50);
+        expect(assembler.pending).toBe(0);
+        expect(assembler.addFrame(frames[1])).toBe(null);
+
+        assembler.clear();
+    });
+
+    it('sends attachments as binary frames after the envelope', async () => {
+        const { client, socket } = createClient();
+
+        await client.send({ action: 'share', response_id: 'guid', attachments: { thumb } });
+
+        expect(socket.sends.length).toBe(2);
+
+        const envelope = JSON.parse(socket.sends[0]);
+        const { header, bytes } = decodeAttachmentFrame(socket.sends[1]);
+
+        expect(envelope).toMatchObject({ action: 'share', attachments: [{ name: 'thumb', size: 4 }] });
+        expect(header).toEqual({ attachment_id: envelope.attachment_id, response_id: 'guid', name: 'thumb' });
+        expect(Array.from(bytes)).toEqual([1, 2, 3, 255]);
+    });
+
+    it('delivers reassembled attachments to the convo', async () => {
+        const { client, socket } = createClient();
+
+        const promise = client.request('thumbnail', {}, { timeout: 100 });
+        await sleep(5);
+
+        const { response_id } = JSON.parse(socket.sends[0]);
+        const { envelope, frames } = splitAttachments({ response_id, attachments: { thumb } });
+
+        socket.mockServerSend(JSON.stringify(envelope));
+        frames.forEach(frame => socket.mockServerSend(Buffer.from(frame)));
+
+        const reply = await promise;
+
+        expect(Array.from(reply.attachments.thumb)).toEqual([1, 2, 3, 255]);
+    });
+
+    it('sends attachments inline with binary codecs', async () => {
+        const { client, socket } = createClient({ codecs: ['msgpack'] });
+
+        await client.send({ action: 'share', attachments: { thumb: thumb.buffer } });
+
+        expect(socket.sends.length).toBe(1);
+        expect(Array.from(MessagePackCodec.decode(socket.sends[0]).attachments.thumb)).toEqual([1, 2, 3, 255]);
+    });
+});
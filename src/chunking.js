@@ -0,0 +1,213 @@
+// @flow
+
+export type ChunkingOptions = {|
+    // Bytes per chunk, keep it under the server's frame limit
+    chunkSize: number,
+    // Milliseconds to wait for a chunk to be acknowledged before sending it again
+    ackTimeout: number,
+    // Times a chunk is sent again before the transfer fails
+    retries: number,
+    // Largest incoming transfer in bytes, bigger ones are refused. Also the
+    // most bytes of attachments a single incoming message may have.
+    maxTransferSize: number,
+    // Milliseconds an incomplete incoming transfer is kept without new chunks,
+    // which is how long the sender has to resume it. Messages still missing
+    // attachment frames are kept as long.
+    transferTimeout: number,
+|};
+
+// Chunk frames carry their position under CHUNK_FIELD and the bytes as the `data`
+// attachment. The receiver answers each with the next chunk it is missing under
+// CHUNK_ACK_FIELD, which lets a resent or resumed transfer skip what arrived.
+// Resuming takes sending again with the transfer id of the failed attempt.
+export const CHUNK_FIELD = 'chunk';
+export const CHUNK_ACK_FIELD = 'chunk_ack';
+
+export type ChunkHeader = {|
+    transfer_id: string,
+    seq: number,
+    // Number of chunks and bytes of the whole transfer
+    total: number,
+    size: number,
+|};
+
+export type ChunkAck = {|
+    transfer_id: string,
+    next: number,
+|};
+
+export type TransferProgress = {|
+    direction: 'send' | 'receive',
+    transferId: string,
+    guid: ?string,
+    chunks: number,
+    totalChunks: number,
+    bytes: number,
+    totalBytes: number,
+|};
+
+export function splitChunks(bytes: Uint8Array, chunkSize: number) : Array<Uint8Array> {
+    if (!(chunkSize > 0)) {
+        throw new Error(`Chunk size must be positive, got ${chunkSize}`);
+    }
+
+    const chunks = [];
+
+    for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+        chunks.push(bytes.subarray(offset, offset + chunkSize));
+    }
+
+    return chunks.length ? chunks : [bytes];
+}
+
+export function isChunkHeader(header: mixed) : boolean {
+    if (!header || typeof header !== 'object' || typeof header.transfer_id !== 'string') {
+        return false;
+    }
+
+    const { seq, total, size } = header;
+
+    return typeof seq === 'number' && typeof total === 'number' && typeof size === 'number'
+        && Number.isInteger(seq) && Number.isInteger(total) && Number.isInteger(size)
+        && seq >= 0 && seq < total && size >= 0
+        // Every chunk but the only one of an empty transfer carries bytes
+        && total <= Math.max(size, 1);
+}
+
+type Transfer = {|
+    header: ChunkHeader,
+    chunks: Map<number, Uint8Array>,
+    // Lowest chunk not received yet
+    next: number,
+    bytes: number,
+    expiry: TimeoutID,
+|};
+
+export type ChunkReceipt = {|
+    ack: ChunkAck,
+    progress: { chunks: number, bytes: number },
+    // The reassembled bytes once the last chunk is in
+    complete: ?Uint8Array,
+|};
+
+// Completed transfers remembered so that resent chunks are still acknowledged
+const MAX_COMPLETED = 100;
+
+// Collects the chunks of incoming transfers, in whatever order they arrive.
+// Throws on chunks that do not fit the transfer they claim to be part of, which
+// drops the transfer.
+export class ChunkAssembler {
+    maxTransferSize: number;
+    transferTimeout: number;
+    _transfers: Map<string, Transfer> = new Map();
+    _completed: Set<string> = new Set();
+
+    constructor(options: { maxTransferSize: number, transferTimeout: number }) {
+        this.maxTransferSize = options.maxTransferSize;
+        this.transferTimeout = options.transferTimeout;
+    }
+
+    add(header: ChunkHeader, bytes: Uint8Array) : ChunkReceipt {
+        const { transfer_id, seq, total, size } = header;
+
+        if (this._completed.has(transfer_id)) {
+            return { ack: { transfer_id, next: total }, progress: { chunks: total, bytes: size }, complete: null };
+        }
+
+        if (size > this.maxTransferSize) {
+            throw new Error(`Transfer of ${size} bytes exceeds the limit of ${this.maxTransferSize}`);
+        }
+
+        let transfer = this._transfers.get(transfer_id);
+
+        if (!transfer) {
+            this._transfers.set(transfer_id, transfer = {
+                header,
+                chunks: new Map(),
+                next: 0,
+                bytes: 0,
+                expiry: this._expire(transfer_id),
+            });
+        }
+        else {
+            clearTimeout(transfer.expiry);
+            transfer.expiry = this._expire(transfer_id);
+        }
+
+        if (transfer.header.total !== total || transfer.header.size !== size) {
+            this._drop(transfer_id);
+            throw new Error(`Chunk ${seq} does not match transfer ${transfer_id}`);
+        }
+
+        if (!transfer.chunks.has(seq)) {
+            if (transfer.bytes + bytes.length > size) {
+                this._drop(transfer_id);
+                throw new Error(`Transfer ${transfer_id} got more than the ${size} bytes announced`);
+            }
+
+            transfer.chunks.set(seq, bytes);
+            transfer.bytes += bytes.length;
+
+            while (transfer.chunks.has(transfer.next)) {
+                transfer.next++;
+            }
+        }
+
+        const progress = { chunks: transfer.chunks.size, bytes: transfer.bytes };
+
+        if (transfer.next < total) {
+            return { ack: { transfer_id, next: transfer.next }, progress, complete: null };
+        }
+
+        if (transfer.bytes !== size) {
+            this._drop(transfer_id);
+            throw new Error(`Transfer ${transfer_id} got ${transfer.bytes} of the ${size} bytes announced`);
+        }
+
+        this._finish(transfer_id);
+
+        const complete = new Uint8Array(size);
+
+        for (let i = 0, offset = 0; i < total; i++) {
+            const chunk = transfer.chunks.get(i) || new Uint8Array(0);
+
+            complete.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        return { ack: { transfer_id, next: total }, progress, complete };
+    }
+
+    // Drops the transfer unless a chunk comes in before the timeout
+    _expire(transferId: string) : TimeoutID {
+        return setTimeout(() => { this._transfers.delete(transferId); }, this.transferTimeout);
+    }
+
+    _drop(transferId: string) {
+        const transfer = this._transfers.get(transferId);
+
+        if (transfer) {
+            clearTimeout(transfer.expiry);
+            this._transfers.delete(transferId);
+        }
+    }
+
+    _finish(transferId: string) {
+        this._drop(transferId);
+        this._completed.add(transferId);
+
+        if (this._completed.size > MAX_COMPLETED) {
+            this._completed.delete(Array.from(this._completed)[0]);
+        }
+    }
+
+    clear() {
+        this._transfers.forEach(transfer => clearTimeout(transfer.expiry));
+        this._transfers.clear();
+        this._completed.clear();
+    }
+
+    get pending() : number {
+        return this._transfers.size;
+    }
+}
@@ -0,0 +1,199 @@
+// @flow
+import Client from './client';
+import { ChunkAssembler, isChunkHeader, splitChunks } from './chunking';
+import { MockSocket, sleep } from './test_helpers';
+import { TimeboxTimeout } from './utils';
+
+// One end of an in-memory connection, frames are delivered to the other end asynchronously
+class LoopbackSocket extends MockSocket {
+    peer: ?LoopbackSocket = null;
+    // Return false to lose a frame on the way
+    filter: (mixed) => boolean = () => true;
+
+    send(data) {
+        const peer = this.peer;
+
+        if (peer && this.filter(data)) {
+            setTimeout(() => peer.listeners.message({ data }), 0);
+        }
+    }
+}
+
+function connectedPair(options: Object = {}) {
+    const sockets = [new LoopbackSocket(), new LoopbackSocket()];
+    const [a, b] = sockets.map(socket => new Client({ ...options, url: 'ws://host', socketFactory: () => socket }));
+
+    sockets[0].peer = sockets[1];
+    sockets[1].peer = sockets[0];
+    sockets.forEach(socket => socket.mockConnect());
+
+    return { a, b, sockets };
+}
+
+describe('ChunkAssembler', () => {
+    const bytes = new Uint8Array([0, 1, 2, 3, 4, 5, 6]);
+    const chunks = splitChunks(bytes, 3);
+    const header = seq => ({ transfer_id: 't', seq, total: chunks.length, size: bytes.length });
+
+    it('splits into chunks of at most chunkSize', () => {
+        expect(chunks.map(chunk => Array.from(chunk))).toEqual([[0, 1, 2], [3, 4, 5], [6]]);
+        expect(splitChunks(new Uint8Array(0), 3).length).toBe(1);
+    });
+
+    const options = { maxTransferSize: 1000, transferTimeout: 20 };
+
+    it('acknowledges the next missing chunk and reassembles', () => {
+        const assembler = new ChunkAssembler(options);
+
+        expect(assembler.add(header(1), chunks[1]).ack).toEqual({ transfer_id: 't', next: 0 });
+        expect(assembler.add(header(0), chunks[0]).ack).toEqual({ transfer_id: 't', next: 2 });
+        expect(assembler.add(header(0), chunks[0]).progress).toEqual({ chunks: 2, bytes: 6 });
+
+        const { ack, complete } = assembler.add(header(2), chunks[2]);
+
+        expect(ack).toEqual({ transfer_id: 't', next: 3 });
+        expect(Array.from(complete || [])).toEqual(Array.from(bytes));
+        expect(assembler.pending).toBe(0);
+
+        // Chunks resent after the transfer completed are still acknowledged
+        expect(assembler.add(header(2), chunks[2])).toMatchObject({ ack: { next: 3 }, complete: null });
+    });
+
+    it('refuses transfers that are too large or do not add up', () => {
+        const assembler = new ChunkAssembler(options);
+
+        expect(isChunkHeader({ transfer_id: 't', seq: 0, total: 1e8, size: 10 })).toBe(false);
+        expect(() => assembler.add({ transfer_id: 'big', seq: 0, total: 2, size: 1e8 }, chunks[0]))
+            .toThrow('Transfer of 100000000 bytes exceeds the limit of 1000');
+
+        assembler.add(header(0), chunks[0]);
+        expect(() => assembler.add({ ...header(1), size: 8 }, chunks[1])).toThrow('Chunk 1 does not match transfer t');
+        expect(assembler.pending).toBe(0);
+
+        assembler.add(header(0), chunks[0]);
+        assembler.add(header(1), chunks[1]);
+        expect(() => assembler.add(header(2), new Uint8Array(5))).toThrow('Transfer t got more than the 7 bytes announced');
+
+        assembler.add(header(0), chunks[0]);
+        assembler.add(header(1), chunks[1]);
+        expect(() => assembler.add(header(2), new Uint8Array(0))).toThrow('Transfer t got 6 of the 7 bytes announced');
+        expect(assembler.pending).toBe(0);
+    });
+
+    it('drops transfers that go idle', async () => {
+        const assembler = new ChunkAssembler(options);
+
+        assembler.add(header(0), chunks[0]);
+        await sleep(10);
+        assembler.add(header(1), chunks[1]);
+        await sleep(15);
+
+        expect(assembler.pending).toBe(1);
+
+        await sleep(15);
+
+        expect(assembler.pending).toBe(0);
+    });
+});
+
+describe('Chunked transfers', () => {
+    const file = new Uint8Array(100).map((_, i) => i);
+
+    it('delivers the reassembled message with progress', async () => {
+        const { a, b } = connectedPair();
+        const progress = [];
+        const received = [];
+
+        b.emitter.on('transferProgress', event => { received.push(event.chunks); });
+        b.handle('upload', async (convo, msg) => ({ name: msg.name, size: msg.attachments.file.length, last: msg.attachments.file[99] }));
+
+        const reply = await a.convo('upload', async convo => {
+            await convo.sendChunked({ name: 'file.bin', attachments: { file } }, {
+                chunkSize: 40,
+                onProgress: event => { progress.push([event.chunks, event.totalChunks, event.totalBytes]); },
+            });
+
+            return convo.expect(100);
+        });
+
+        expect(reply).toMatchObject({ name: 'file.bin', size: 100, last: 99 });
+        expect(progress.length).toBeGreaterThan(2);
+        expect(progress[progress.length - 1][0]).toBe(progress[0][1]);
+        expect(received[received.length - 1]).toBe(progress[0][1]);
+    });
+
+    it('sends chunks again until they are acknowledged', async () => {
+        const { a, b, sockets } = connectedPair({ chunking: { ackTimeout: 100, retries: 2 } });
+        let dropped = 0;
+
+        // Loses the first two binary frames
+        sockets[0].filter = data => typeof data === 'string' || dropped++ >= 2;
+        b.handle('upload', async (convo, msg) => ({ size: msg.attachments.file.length }));
+
+        const reply = await a.convo('upload', async convo => {
+            await convo.sendChunked({ attachments: { file } }, { chunkSize: 60 });
+            return convo.expect(100);
+        });
+
+        expect(reply).toMatchObject({ size: 100 });
+        expect(dropped).toBeGreaterThan(2);
+    });
+
+    it('fails once the retries are used up', async () => {
+        const { a, sockets } = connectedPair({ chunking: { ackTimeout: 10, retries: 1 } });
+
+        sockets[0].filter = () => false;
+
+        await expect(a.convo('upload', convo => convo.sendChunked({ attachments: { file } })))
+            .rejects.toBeInstanceOf(TimeboxTimeout);
+        expect(a._transfers.size).toBe(0);
+    });
+
+    it('fails on malformed acknowledgements', async () => {
+        const { a, sockets } = connectedPair();
+
+        // Answers every chunk in place of the receiver
+        sockets[0].filter = data => {
+            if (typeof data === 'string') {
+                const { chunk } = JSON.parse(data);
+                setTimeout(() => sockets[0].mockServerSend({ chunk_ack: { transfer_id: chunk.transfer_id, next: 'x' } }), 0);
+            }
+
+            return false;
+        };
+
+        await expect(a.convo('upload', convo => convo.sendChunked({ attachments: { file } }, { chunkSize: 10 })))
+            .rejects.toThrow(/Malformed acknowledgement for transfer .*: next "x"/);
+    });
+
+    it('resumes a failed transfer where the receiver left off', async () => {
+        const { a, b, sockets } = connectedPair({ chunking: { ackTimeout: 200, retries: 0 } });
+        let binary = 0;
+        let online = true;
+
+        // The connection drops before the third chunk
+        sockets[0].filter = data => {
+            if (typeof data !== 'string' && ++binary === 3) {
+                online = false;
+            }
+
+            return online;
+        };
+        b.handle('upload', async (convo, msg) => ({ size: msg.attachments.file.length, last: msg.attachments.file[99] }));
+
+        const upload = (transferId, onProgress) => a.convo('upload', async convo => {
+            await convo.sendChunked({ attachments: { file } }, { chunkSize: 30, transferId, onProgress });
+            return convo.expect(100);
+        });
+
+        await expect(upload('upload-1')).rejects.toBeInstanceOf(TimeboxTimeout);
+
+        online = true;
+        const resumed = [];
+        const reply = await upload('upload-1', event => { resumed.push(event.chunks); });
+
+        expect(reply).toMatchObject({ size: 100, last: 99 });
+        // Chunk 0 is sent again to learn where to go on, then the receiver skips to chunk 2
+        expect(resumed[0]).toBe(2);
+    });
+});
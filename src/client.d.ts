@@ -0,0 +1,250 @@
+// TypeScript declarations of the public API of client.js, which is written
+// with Flow types. Keep in sync when the API changes.
+
+export type ConnectionStateType = 'idle' | 'connecting' | 'open' | 'reconnecting' | 'closing' | 'closed' | 'failed';
+
+export const ConnectionState: Readonly<{
+    IDLE: 'idle';
+    CONNECTING: 'connecting';
+    OPEN: 'open';
+    RECONNECTING: 'reconnecting';
+    CLOSING: 'closing';
+    CLOSED: 'closed';
+    FAILED: 'failed';
+}>;
+
+export interface StateChange {
+    previous: ConnectionStateType;
+    next: ConnectionStateType;
+    cause: string;
+}
+
+export interface AbortSignalLike {
+    readonly aborted: boolean;
+    readonly reason?: unknown;
+    addEventListener(type: 'abort', listener: () => void): void;
+    removeEventListener(type: 'abort', listener: () => void): void;
+}
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+export interface Logger {
+    debug(message: string, fields?: Record<string, unknown>): void;
+    info(message: string, fields?: Record<string, unknown>): void;
+    warn(message: string, fields?: Record<string, unknown>): void;
+    error(message: string, fields?: Record<string, unknown>): void;
+}
+
+export interface RoomLocation {
+    baseUrl: string;
+    channel: string;
+    room: string;
+}
+
+export interface ActionSchemas {
+    request?: object | null;
+    response?: object | null;
+}
+
+export interface Codec {
+    name: string;
+    protocol: string;
+    binary: boolean;
+    encode(data: object): string | Uint8Array;
+    decode(frame: string | Uint8Array | ArrayBuffer): any;
+}
+
+export interface ReconnectOptions {
+    enabled: boolean;
+    initialDelay: number;
+    maxDelay: number;
+    factor: number;
+    jitter: number;
+    maxAttempts: number;
+}
+
+// See DEFAULT_CLIENT_OPTIONS in options.js for the defaults
+export interface ClientOptionsInput {
+    url?: string | (() => string);
+    location?: RoomLocation | null;
+    socketFactory?: ((url: string, protocols: string[]) => any) | null;
+    autoConnect?: boolean;
+    timeouts?: Partial<{ send: number; expect: number; connect: number }>;
+    // Groups with `enabled` can be given as just `true` or `false`
+    reconnect?: Partial<ReconnectOptions> | boolean;
+    outbox?: Partial<{ enabled: boolean; maxSize: number; ttl: number; overflow: 'drop-oldest' | 'drop-newest' | 'reject' }> | boolean;
+    heartbeat?: Partial<{ enabled: boolean; interval: number; timeout: number; maxMissed: number; action: string }> | boolean;
+    chunking?: Partial<{ chunkSize: number; ackTimeout: number; retries: number; maxTransferSize: number; transferTimeout: number }>;
+    compression?: Partial<{ perMessageDeflate: boolean | object; algorithm: 'deflate' | 'gzip' | null; threshold: number }>;
+    validation?: Partial<{ mode: 'strict' | 'warn' | 'off'; schemas: Record<string, ActionSchemas> }>;
+    logger?: Logger;
+    logLevel?: LogLevel;
+    redact?: ((payload: unknown) => unknown) | null;
+    codecs?: Array<string | Codec>;
+}
+
+export type MessageMatcher = string | ((msg: any) => boolean);
+export type MessageHandler = (msg: any) => unknown;
+export type InboundHandler = (convo: Convo, msg: any) => Promise<object | null | void>;
+
+export interface SendOptions {
+    signal?: AbortSignalLike | null;
+    validate?: boolean;
+    middleware?: boolean;
+}
+
+export interface ConvoOptions {
+    signal?: AbortSignalLike | null;
+    sendCancel?: boolean;
+    envelope?: object;
+    middleware?: boolean;
+}
+
+export interface TransferProgress {
+    direction: 'send' | 'receive';
+    transferId: string;
+    guid: string | null;
+    chunks: number;
+    totalChunks: number;
+    bytes: number;
+    totalBytes: number;
+}
+
+export interface ChunkedSendOptions {
+    chunkSize?: number;
+    onProgress?: ((progress: TransferProgress) => void) | null;
+    signal?: AbortSignalLike | null;
+    transferId?: string | null;
+}
+
+export interface RequestOptions {
+    timeout?: number | null;
+    raw?: boolean;
+    signal?: AbortSignalLike | null;
+    sendCancel?: boolean;
+    envelope?: object;
+    middleware?: boolean;
+}
+
+export interface BroadcastOptions {
+    timeout?: number | null;
+    minResponses?: number;
+    expectedPeers?: string[] | null;
+    signal?: AbortSignalLike | null;
+}
+
+export interface BroadcastResult {
+    responses: Map<string, any>;
+    errors: Map<string, any>;
+    missing: string[];
+}
+
+export interface ExpectOptions {
+    raw?: boolean;
+    signal?: AbortSignalLike | null;
+}
+
+export interface StreamOptions {
+    idleTimeout?: number | null;
+    until?: ((msg: any) => boolean) | null;
+    isTerminal?: (msg: any) => boolean;
+    raw?: boolean;
+    signal?: AbortSignalLike | null;
+}
+
+export interface MiddlewareContext {
+    direction: 'inbound' | 'outbound';
+    reply(data: object): Promise<void>;
+    request(actionName: string, payload?: object, options?: RequestOptions): Promise<any>;
+}
+
+export type MiddlewareStage = (msg: any, context: MiddlewareContext) => object | null | void | Promise<object | null | void>;
+
+export interface Middleware {
+    outbound?: MiddlewareStage | null;
+    inbound?: MiddlewareStage | null;
+}
+
+export interface Peer {
+    readonly client: Client;
+    readonly id: string;
+    send(actionName: string, payload?: object, options?: SendOptions): Promise<void>;
+    request(actionName: string, payload?: object, options?: RequestOptions): Promise<any>;
+    convo<R>(actionName: string, asyncAction: (convo: Convo, guid: string) => Promise<R>, options?: ConvoOptions): Promise<R>;
+}
+
+export function isTerminalMessage(obj: object): boolean;
+
+export class AsyncQueueClosed {}
+
+export class AsyncQueueFull {
+    capacity: number;
+    constructor(capacity: number);
+}
+
+export interface AsyncQueueOptions {
+    capacity?: number;
+    overflow?: 'block' | 'drop-oldest' | 'error';
+}
+
+export class AsyncQueue<T> {
+    readonly closed: boolean;
+    readonly size: number;
+    readonly length: number;
+    readonly waiters: number;
+    constructor(options?: AsyncQueueOptions);
+    put(data: T): void;
+    putAsync(data: T): Promise<void>;
+    close(): void;
+    getAsync(timeout?: number | null): Promise<T>;
+    peek(): T | null | undefined;
+    drain(): T[];
+}
+
+export class Convo {
+    readonly client: Client;
+    readonly guid: string;
+    readonly action: string;
+    readonly accepted: boolean;
+    readonly middleware: boolean;
+    expect(timeout?: number | null, options?: ExpectOptions): Promise<any>;
+    stream(options?: StreamOptions): AsyncGenerator<any, void, void>;
+    send(data: object, options?: SendOptions): Promise<void>;
+    sendChunked(data: object, options?: ChunkedSendOptions): Promise<void>;
+    sendAndExpect(data: object, timeout?: number | null, options?: ExpectOptions): Promise<any>;
+}
+
+export default class Client {
+    // event-emitter-es6 instance, see the events emitted in client.js
+    emitter: {
+        on(event: string, listener: (...args: any[]) => void): void;
+        once(event: string, listener: (...args: any[]) => void): void;
+        off(event: string, listener?: (...args: any[]) => void): void;
+    };
+    readonly state: ConnectionStateType;
+    readonly reconnecting: boolean;
+    readonly channel: string | null;
+    readonly room: string | null;
+    readonly rtt: number | null;
+
+    constructor(options: ClientOptionsInput);
+    // The older form, `socketCreator` and `options` being socketFactory and the rest of the options
+    constructor(url: string | (() => string), socketCreator?: ClientOptionsInput['socketFactory'], options?: ClientOptionsInput);
+
+    connect(): Promise<void>;
+    close(code?: number, reason?: string): Promise<void>;
+    switchRoom(channel: string, room: string): Promise<void>;
+    waitForState(state: ConnectionStateType | ConnectionStateType[], timeout: number): Promise<StateChange | null>;
+    wait(eventName: string, timeout: number, signal?: AbortSignalLike | null): Promise<any>;
+
+    send(data: object, timeout?: number | null, options?: SendOptions): Promise<void>;
+    convo<R>(actionName: string, asyncAction: (convo: Convo, guid: string) => Promise<R>, options?: ConvoOptions): Promise<R>;
+    request(actionName: string, payload?: object, options?: RequestOptions): Promise<any>;
+    broadcastRequest(actionName: string, payload?: object, options?: BroadcastOptions): Promise<BroadcastResult>;
+    peer(memberId: string): Peer;
+
+    subscribe(matcher: MessageMatcher, handler: MessageHandler): () => void;
+    on(matcher: MessageMatcher, handler: MessageHandler): () => void;
+    handle(actionName: string, handler: InboundHandler): () => void;
+    use(middleware: Middleware): () => void;
+}
@@ -7,59 +7,598 @@ import MonotonicNow from 'monotonic-timestamp';
 import uuidv4 from 'uuid/v4';
 
 import * as Utils from './utils';
+import { InsufficientResponses, ServerError, ValidationError } from './errors';
+import Outbox from './outbox';
+import Heartbeat from './heartbeat';
+import { resolveOptions } from './options';
+import { createLogger } from './logger';
+import type { Logger } from './logger';
+import { roomUrl } from './room';
+import type { RoomLocation } from './room';
+import Peer, { RECIPIENT_FIELD, SENDER_FIELD } from './peer';
+import {
+    JsonCodec,
+    frameSize,
+    negotiatedCodec,
+    negotiatedCompression,
+    offeredProtocols,
+    resolveCodec,
+    toBytes,
+} from './codecs';
+import type { Codec, Frame } from './codecs';
+import {
+    ATTACHMENTS_FIELD,
+    AttachmentAssembler,
+    decodeBundle,
+    encodeBundle,
+    hasAttachments,
+    normalizeAttachments,
+    splitAttachments,
+} from './attachments';
+import { CHUNK_ACK_FIELD, CHUNK_FIELD, ChunkAssembler, isChunkHeader, splitChunks } from './chunking';
+import type { ChunkAck, ChunkHeader, TransferProgress } from './chunking';
+import { compressFrame, decompressFrame, isCompressionAlgorithm } from './compression';
+import type { CompressionAlgorithm } from './compression';
+import SchemaRegistry from './validation';
+import MiddlewarePipeline from './middleware';
+import type { Middleware, MiddlewareContext, MiddlewareDirection } from './middleware';
+import type { ClientOptions, ClientOptionsInput, SocketFactory } from './options';
 
 type DataQueue = AsyncQueue<string>;
 
-const WS_STATE = {
-    CONNECTING: 0,
-    OPEN: 1,
-    CLOSING: 2,
-    CLOSED: 3,
+export const ConnectionState = Object.freeze({
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    OPEN: 'open',
+    RECONNECTING: 'reconnecting',
+    CLOSING: 'closing',
+    CLOSED: 'closed',
+    FAILED: 'failed',
+});
+
+export type ConnectionStateType = $Values<typeof ConnectionState>;
+
+export type StateChange = {|
+    previous: ConnectionStateType,
+    next: ConnectionStateType,
+    cause: string,
+|};
+
+// Which states each state may move to, anything else is a bug in Client
+const STATE_TRANSITIONS: { [ConnectionStateType]: Array<ConnectionStateType> } = {
+    idle: ['connecting', 'closed'],
+    connecting: ['open', 'reconnecting', 'closing', 'closed', 'failed'],
+    open: ['reconnecting', 'closing', 'closed', 'failed'],
+    reconnecting: ['open', 'closing', 'closed', 'failed'],
+    closing: ['closed'],
+    closed: ['connecting'],
+    failed: ['connecting', 'closed'],
+};
+
+export type ReconnectOptions = {|
+    enabled: boolean,
+    // Delay before the first attempt, grows by `factor` each attempt up to `maxDelay`
+    initialDelay: number,
+    maxDelay: number,
+    factor: number,
+    // Fraction of the delay (0-1) that is randomly shaved off each attempt
+    jitter: number,
+    maxAttempts: number,
+|};
+
+// Either the action name of inbound messages or a predicate over them
+export type MessageMatcher = string | (Object) => boolean;
+export type MessageHandler = (Object) => mixed;
+
+// Answers a convo started by the server or a peer, `msg` is its first message.
+// Resolving with an object sends it as the reply.
+export type InboundHandler = (Convo, Object) => Promise<?Object | void>;
+
+type Subscription = {|
+    matcher: MessageMatcher,
+    handler: MessageHandler,
+|};
+
+export type SendOptions = {
+    signal?: ?Utils.AbortSignalLike,
+    // Skips schema validation, for frames that only control the protocol
+    validate?: boolean,
+    // Skips the outbound middleware, for frames it has already seen or should not see
+    middleware?: boolean,
+};
+
+export type ConvoOptions = {
+    signal?: ?Utils.AbortSignalLike,
+    // Let the server know with a `cancel` frame on the convo guid when aborted
+    sendCancel?: boolean,
+    // Extra fields stamped on every frame the convo sends, e.g. to address a peer
+    envelope?: Object,
+    // Set to false to pass the convo's frames both ways around the middleware,
+    // which requests made from inside a middleware stage have to do
+    middleware?: boolean,
+};
+
+export type ChunkedSendOptions = {
+    // Defaults to the client's `chunking.chunkSize`
+    chunkSize?: number,
+    onProgress?: ?(TransferProgress) => void,
+    signal?: ?Utils.AbortSignalLike,
+    // Resumes a failed transfer from the first chunk the receiver is missing,
+    // which needs the same data and chunk size as the attempt that failed
+    transferId?: ?string,
+};
+
+export type RequestOptions = {
+    timeout?: ?number,
+    raw?: boolean,
+    signal?: ?Utils.AbortSignalLike,
+    sendCancel?: boolean,
+    envelope?: Object,
+    // See ConvoOptions
+    middleware?: boolean,
+};
+
+export type BroadcastOptions = {
+    // Milliseconds to gather replies for, defaults to the client's expect timeout
+    timeout?: ?number,
+    // Rejects with InsufficientResponses when fewer members replied successfully
+    minResponses?: number,
+    // Members expected to reply, gathering stops early once all of them have
+    expectedPeers?: ?Array<string>,
+    signal?: ?Utils.AbortSignalLike,
 };
 
+export type BroadcastResult = {|
+    // Replies and error replies, keyed by the member that sent them
+    responses: Map<string, Object>,
+    errors: Map<string, ServerError>,
+    // Expected members that did not reply in time
+    missing: Array<string>,
+|};
+
 export default class Client {
     emitter: EventEmitter = new EventEmitter({ emitDelay: 0});
     ws: WebSocket;
     convos: Map<string, Convo> = new Map();
     queues: Map<string, DataQueue> = new Map();
+    subscriptions: Array<Subscription> = [];
+    handlers: Map<string, InboundHandler> = new Map();
+    middleware: MiddlewarePipeline = new MiddlewarePipeline();
+    options: ClientOptions;
+    logger: Logger;
+    url: string | () => string;
+    location: ?RoomLocation;
+    outbox: ?Outbox = null;
+    heartbeat: ?Heartbeat = null;
+    codecs: Array<Codec>;
+    // Codec agreed on with the server for the current connection
+    codec: Codec = JsonCodec;
+    // App-level compression agreed on with the server, if any
+    compression: ?CompressionAlgorithm = null;
+    // Payload schemas by action, see validation.js
+    schemas: SchemaRegistry;
+    attachments: AttachmentAssembler;
+    chunks: ChunkAssembler;
+    // Acks for our outgoing chunked transfers, by transfer id
+    _transfers: Map<string, AsyncQueue<ChunkAck>> = new Map();
+    state: ConnectionStateType = ConnectionState.IDLE;
+    reconnectAttempts: number = 0;
+    _reconnectTimer: ?TimeoutID = null;
+    _closeRequested: boolean = false;
+    // Set while connect() dials, which gives up on the first failure instead of redialing
+    _failFast: boolean = false;
 
-    // TODO: Make construction here less akward
-    constructor(url: string | () => string, socketCreator: ?(string) => WebSocket = null) {
+    // See DEFAULT_CLIENT_OPTIONS for the available options and their defaults.
+    // The older `(url, socketCreator, options)` form is still accepted.
+    constructor(
+        options: ClientOptionsInput | string | () => string,
+        socketCreator: ?SocketFactory = null,
+        legacyOptions: ClientOptionsInput = {},
+    ) {
         this.ws = null;
 
-        let _url: string;
+        if (typeof options === 'string' || typeof options === 'function') {
+            options = { ...legacyOptions, url: options, socketFactory: socketCreator };
+        }
+
+        this.options = resolveOptions(options);
+        this.logger = createLogger(this.options.logger, this.options.logLevel, this.options.redact);
+        this.url = this.options.url;
+        this.location = this.options.location;
+        this.codecs = this.options.codecs.map(resolveCodec);
 
-        if (typeof url === 'string') {
-            _url = url;
+        if (!this.codecs.length) {
+            throw new Error('At least one codec must be given');
         }
-        else if (typeof url === 'function') {
-            _url = url();
+
+        this.schemas = new SchemaRegistry(this.options.validation.schemas);
+        this.chunks = new ChunkAssembler(this.options.chunking);
+        this.attachments = new AttachmentAssembler(this.options.chunking);
+
+        const { algorithm } = this.options.compression;
+
+        if (algorithm && !isCompressionAlgorithm(algorithm)) {
+            throw new Error(`Unknown compression algorithm "${String(algorithm)}"`);
         }
-        else {
-            throw new Error('Url parameter must be string or function');
+
+        if (this.options.outbox.enabled) {
+            this.outbox = new Outbox(this.options.outbox, (data, reason) => {
+                this.logger.warn('Dropped outbox message', { reason, ...Client._describe(data) });
+                this.emitter.emit('outboxDrop', { data, reason });
+            });
+        }
+
+        if (this.options.heartbeat.enabled) {
+            this.heartbeat = new Heartbeat(this, this.options.heartbeat);
+        }
+
+        if (this.options.autoConnect) {
+            this._connect();
+        }
+    }
+
+    // Opens the connection unless it already is open or on its way, resolves
+    // once open and rejects if it fails or does not open in time. A connection
+    // dialed here is not redialed: if the socket closes before it opens or has
+    // not opened in time, the client is closed. Reconnection only kicks in once
+    // it has been open. A connection already on its way (e.g. dialed on
+    // construction or reconnecting) keeps redialing whether or not this rejects.
+    async connect() : Promise<void> {
+        let dialed = false;
+
+        switch (this.state) {
+            case ConnectionState.IDLE:
+            case ConnectionState.CLOSED:
+            case ConnectionState.FAILED:
+                this._closeRequested = false;
+                this.reconnectAttempts = 0;
+                this._failFast = true;
+                dialed = true;
+
+                try {
+                    this._connect();
+                }
+                catch (e) {
+                    this._failFast = false;
+                    throw e;
+                }
+                break;
+
+            case ConnectionState.CLOSING:
+                throw new Error('Cannot connect while closing');
+        }
+
+        try {
+            await this._waitForOpen();
+        }
+        catch (e) {
+            if (dialed && this._failFast) {
+                this._terminate('connect-timeout');
+            }
+
+            throw e;
+        }
+    }
+
+    async _waitForOpen() : Promise<void> {
+        const timeout = this.options.timeouts.connect;
+
+        try {
+            await this.waitForState([ConnectionState.OPEN, ConnectionState.CLOSED, ConnectionState.FAILED], timeout);
+        }
+        catch (e) {
+            if (e instanceof Utils.TimeboxTimeout) {
+                throw new Error(`Connection failed (not open after ${timeout}ms)`);
+            }
+
+            throw e;
+        }
+
+        if (this.state !== ConnectionState.OPEN) {
+            throw new Error(`Connection failed (${this.state})`);
+        }
+    }
+
+    get channel() : ?string {
+        return this.location ? this.location.channel : null;
+    }
+
+    get room() : ?string {
+        return this.location ? this.location.room : null;
+    }
+
+    // Moves a room client over to another room by dialing its url. Subscriptions
+    // stay in place and sends are buffered by the outbox (if enabled) meanwhile.
+    // A client that is not connected only remembers the room for later.
+    async switchRoom(channel: string, room: string) : Promise<void> {
+        const previous = this.location;
+
+        if (!previous) {
+            throw new Error('Only clients created for a room can switch rooms');
+        }
+
+        this.location = { ...previous, channel, room };
+        this.url = roomUrl(this.location);
+
+        this.logger.info('Switching room', { channel, room });
+        this.emitter.emit('roomChange', { channel, room, previous: { channel: previous.channel, room: previous.room } });
+
+        switch (this.state) {
+            case ConnectionState.IDLE:
+            case ConnectionState.CLOSED:
+            case ConnectionState.FAILED:
+                return;
+
+            case ConnectionState.CLOSING:
+                throw new Error('Cannot switch rooms while closing');
+        }
+
+        this._redial('room-switch');
+
+        await this._waitForOpen();
+    }
+
+    // Replaces the current socket with a freshly dialed one right away
+    _redial(cause: string) {
+        const ws = this.ws;
+
+        // Events from the old socket are ignored from here on
+        this.ws = null;
+
+        if (this.heartbeat) {
+            this.heartbeat.stop();
+        }
+
+        if (this._reconnectTimer) {
+            clearTimeout(this._reconnectTimer);
+            this._reconnectTimer = null;
+        }
+
+        if (ws) {
+            try {
+                ws.close(1000, cause);
+            }
+            catch (e) {
+                this.logger.error('Error occurred while closing socket', { error: String(e) });
+            }
+        }
+
+        this.reconnectAttempts = 0;
+        this._setState(ConnectionState.RECONNECTING, cause);
+
+        try {
+            this._connect();
+        }
+        catch (e) {
+            this.logger.error('Error occurred while reconnecting', { error: String(e) });
+            this._scheduleReconnect();
+        }
+    }
+
+    // Round trip time of the last answered heartbeat in ms
+    get rtt(): ?number {
+        return this.heartbeat ? this.heartbeat.rtt : null;
+    }
+
+    // Re-evaluated on every dial so that url functions can hand out fresh (e.g. signed) urls
+    _resolveUrl(): string {
+        return typeof this.url === 'function' ? this.url() : this.url;
+    }
+
+    _setState(next: ConnectionStateType, cause: string) {
+        const previous = this.state;
+
+        if (previous === next) {
+            return;
+        }
+
+        if (!STATE_TRANSITIONS[previous].includes(next)) {
+            throw new Error(`Invalid connection state transition ${previous} -> ${next} (${cause})`);
+        }
+
+        this.state = next;
+
+        const change: StateChange = { previous, next, cause };
+        this.emitter.emit('stateChange', change);
+    }
+
+    _connect() {
+        if (this.state !== ConnectionState.RECONNECTING) {
+            this._setState(ConnectionState.CONNECTING, 'connect');
+        }
+
+        let ws: WebSocket;
+
+        try {
+            const url = this._resolveUrl();
+            const { socketFactory, compression } = this.options;
+            const protocols = offeredProtocols(this.codecs, compression.algorithm);
+
+            ws = socketFactory
+                ? socketFactory(url, protocols)
+                : new WebSocket(url, protocols, { perMessageDeflate: compression.perMessageDeflate });
+        }
+        catch (e) {
+            // Reconnection attempts are retried by the scheduler instead
+            if (this.state !== ConnectionState.RECONNECTING) {
+                this._setState(ConnectionState.FAILED, 'error');
+            }
+
+            throw e;
+        }
+
+        this.ws = ws;
+
+        // Browser sockets deliver binary frames as Blobs otherwise
+        ws.binaryType = 'arraybuffer';
+
+        // Events from sockets we have already replaced are ignored
+        const forward = handler => event => {
+            if (this.ws === ws) {
+                handler.call(this, event);
+            }
+        };
+
+        ws.addEventListener('message', forward(this.handleMessage));
+        ws.addEventListener('open', forward(this.handleOpen));
+        ws.addEventListener('close', forward(this.handleClose));
+        ws.addEventListener('error', forward(this.handleError));
+    }
+
+    get reconnecting(): boolean {
+        return this.state === ConnectionState.RECONNECTING;
+    }
+
+    _scheduleReconnect() {
+        const { maxAttempts } = this.options.reconnect;
+
+        if (this.reconnectAttempts >= maxAttempts) {
+            this.logger.error('Giving up reconnecting', { attempts: this.reconnectAttempts });
+            this._setState(ConnectionState.FAILED, 'gave-up');
+            this._clearOutbox();
+            this.emitter.emit('gave-up', { attempts: this.reconnectAttempts });
+            return;
         }
 
-        this.ws = socketCreator ? socketCreator(_url) : new WebSocket(_url);
+        this._setState(ConnectionState.RECONNECTING, 'close');
 
-        this.ws.addEventListener('message', this.handleMessage.bind(this));
-        this.ws.addEventListener('open', this.handleOpen.bind(this));
-        this.ws.addEventListener('close', this.handleClose.bind(this));
-        this.ws.addEventListener('error', this.handleError.bind(this));
+        const attempt = this.reconnectAttempts++;
+        const delay = Utils.backoffDelay(attempt, this.options.reconnect);
+
+        this.logger.info('Reconnecting', { attempt: attempt + 1, delay: Math.round(delay) });
+        this.emitter.emit('reconnecting', { attempt: attempt + 1, delay });
+
+        this._reconnectTimer = setTimeout(() => {
+            this._reconnectTimer = null;
+
+            try {
+                this._connect();
+            }
+            catch (e) {
+                this.logger.error('Error occurred while reconnecting', { error: String(e) });
+                this._scheduleReconnect();
+            }
+        }, delay);
     }
 
     handleOpen(event: Event) {
-        console.info('Connection socket opened, state:', this.ws.readyState);
+        // close() got there first
+        if (this._closeRequested) {
+            return;
+        }
+
+        const protocol = this.ws.protocol;
+        const codec = negotiatedCodec(protocol, this.codecs);
+        const compression = negotiatedCompression(protocol);
+
+        if (!codec || (compression && compression !== this.options.compression.algorithm)) {
+            this.logger.error('Server picked a subprotocol that was not offered', { protocol });
+            this._terminate('unsupported subprotocol');
+            return;
+        }
+
+        this._failFast = false;
+        this.codec = codec;
+        this.compression = (compression: any);
+        this.logger.info('Connection socket opened');
+
+        // Flushed before anyone observing the open state gets to send, to keep ordering
+        this._flushOutbox();
+        this._setState(ConnectionState.OPEN, 'open');
         this.emitter.emit('open', event);
+
+        if (this.heartbeat) {
+            this.heartbeat.start(this.ws);
+        }
+
+        if (this.reconnectAttempts > 0) {
+            this.emitter.emit('reconnected', { attempts: this.reconnectAttempts });
+            this.reconnectAttempts = 0;
+        }
     }
 
     handleError(event: Event) {
-        console.error('Connection socket error occurred');
+        this.logger.error('Connection socket error occurred');
         this.emitter.emit('error', event);
     }
 
     handleClose(event: Event) {
         // console.info('Connection Socket closed', data);
+        // Only the socket close() waits on still gets to finish closing
+        if (this._closeRequested && this.state !== ConnectionState.CLOSING) {
+            return;
+        }
+
+        this.attachments.clear();
+
+        if (this.heartbeat) {
+            this.heartbeat.stop();
+        }
+
         this.emitter.emit('close', event);
+
+        // connect() gives up on a connection that never opened
+        const redial = !this._closeRequested && this.options.reconnect.enabled && !this._failFast;
+
+        this._failFast = false;
+
+        if (redial) {
+            this._scheduleReconnect();
+        }
+        else {
+            this._setState(ConnectionState.CLOSED, this._closeRequested ? 'close-requested' : 'close');
+            this._clearOutbox();
+        }
+    }
+
+    // Drops a socket that is not closing on its own (e.g. a half-open connection)
+    // and handles it as closed right away instead of waiting for the close event.
+    _terminate(reason: string) {
+        const ws = this.ws;
+
+        // Events from the dead socket are ignored from here on
+        this.ws = null;
+
+        try {
+            if (typeof ws.terminate === 'function') {
+                ws.terminate();
+            }
+            else {
+                ws.close(4000, reason);
+            }
+        }
+        catch (e) {
+            this.logger.error('Error occurred while terminating socket', { error: String(e) });
+        }
+
+        this.handleClose(({ code: 4000, reason }: any));
+    }
+
+    _flushOutbox() {
+        if (!this.outbox) {
+            return;
+        }
+
+        const entries = this.outbox.take();
+
+        if (entries.length) {
+            this.logger.info('Flushing outbox', { count: entries.length });
+        }
+
+        entries.forEach(entry => {
+            try {
+                entry.deferred.resolve(this._write(entry.data));
+            }
+            catch (e) {
+                entry.deferred.reject(e);
+            }
+        });
+    }
+
+    _clearOutbox() {
+        if (this.outbox) {
+            this.outbox.clear('closed');
+        }
     }
 
     handleMessage(event: MessageEvent) {
@@ -71,71 +610,555 @@ export default class Client {
         return _.get(obj, 'response_id', null) || _.get(obj, 'error_data.response_id', null);
     }
 
-    _parseMessage(data: string) {
+    _parseMessage(data: Frame) {
         try {
-            const obj = JSON.parse(data);
-            if (typeof obj !== 'object') {
-                throw new Error(`Expecting object not "${JSON.stringify(obj)}"`)
+            let obj: ?Object;
+
+            if (this.compression) {
+                data = decompressFrame(data, this.compression);
+            }
+
+            // Text codecs only get binary frames for attachments
+            if (typeof data !== 'string' && !this.codec.binary) {
+                obj = this.attachments.addFrame(toBytes(data));
+            }
+            else {
+                const decoded = this.codec.decode(data);
+                if (!decoded || typeof decoded !== 'object') {
+                    throw new Error(`Expecting object not "${JSON.stringify(decoded)}"`)
+                }
+
+                this.logger.debug('Received', { ...Client._describe(decoded), bytes: frameSize(data), payload: decoded });
+
+                obj = this.attachments.addEnvelope(decoded);
+            }
+
+            // Still waiting on attachments
+            if (!obj) {
+                return;
             }
-            const guid = Client._extract_guid(obj);
 
-            const convo: ?Convo = this.convos.get(guid) || null;
+            if (obj[CHUNK_ACK_FIELD]) {
+                this._handleChunkAck(obj);
+                return;
+            }
 
-            let queue = this.queues.get(guid);
+            // Chunks are only delivered once the whole message is in
+            if (obj[CHUNK_FIELD]) {
+                obj = this._receiveChunk(obj);
 
-            if (!queue) {
-                this.queues.set(guid, queue = new AsyncQueue());
+                if (!obj) {
+                    return;
+                }
             }
 
+            const convo = this.convos.get(Client._extract_guid(obj));
+
+            if (!this.middleware.has('inbound') || (convo && !convo.middleware)) {
+                this._deliver(obj);
+                return;
+            }
+
+            const received = obj;
+
+            this.middleware.run('inbound', received, this._middlewareContext('inbound', received))
+                .then(
+                    result => {
+                        if (result) {
+                            this._deliver(result);
+                        }
+                        else {
+                            this.logger.debug('Dropped by middleware', Client._describe(received));
+                        }
+                    },
+                    e => this.logger.error('Error occurred in middleware', { ...Client._describe(received), error: String(e) }),
+                )
+                .catch(e => this.logger.error('Error delivering message', { ...Client._describe(received), error: String(e) }));
+        }
+        catch (e) {
+            this.logger.error('Error parsing message', { error: String(e), bytes: frameSize(data) });
+        }
+    }
+
+    // Hands a whole incoming message to its convo, handler or subscribers
+    _deliver(obj: Object) {
+        const invalid = this._validate(obj, false);
+
+        if (invalid) {
+            this._refuse(obj, invalid);
+            return;
+        }
+
+        const guid = Client._extract_guid(obj);
+
+        const queue: ?DataQueue = guid ? this.queues.get(guid) : null;
+
+        if (queue) {
             queue.put(obj);
         }
+        else if (guid && !ServerError.isErrorPayload(obj) && this.handlers.has(obj.action)) {
+            this._accept(obj, guid)
+                .catch(e => this.logger.error('Error accepting convo', { action: obj.action, guid, error: String(e) }));
+        }
+        else {
+            this._dispatch(obj);
+        }
+    }
+
+    // What middleware stages get along with `msg`, see MiddlewareContext
+    _middlewareContext(direction: MiddlewareDirection, msg: Object) : MiddlewareContext {
+        const guid = Client._extract_guid(msg);
+        const reply = async (data: Object) => {
+            if (!guid) {
+                throw new Error('Cannot reply to a message without a guid');
+            }
+
+            if (direction === 'inbound') {
+                await this.send({ ...Client._replyEnvelope(msg), ...data, action: msg.action, response_id: guid });
+            }
+            else {
+                this._deliver({ ...data, action: msg.action, response_id: guid });
+            }
+        };
+        const request = (actionName: string, payload: Object = {}, options: RequestOptions = {}) =>
+            this.request(actionName, payload, { ...options, middleware: false });
+
+        return { direction, reply, request };
+    }
+
+    // Returns the ValidationError to act on for an invalid payload, which is
+    // only the case in strict mode. Incoming messages are validated as requests
+    // unless they answer a convo we started, outgoing ones the other way around.
+    _validate(obj: Object, outgoing: boolean) : ?ValidationError {
+        const { mode } = this.options.validation;
+
+        if (mode === 'off' || obj.cancel === true || ServerError.isErrorPayload(obj)) {
+            return null;
+        }
+
+        const convo = this.convos.get(Client._extract_guid(obj));
+        const action = convo ? convo.action : obj.action;
+        const answer = !!convo && convo.accepted === outgoing;
+
+        if (typeof action !== 'string') {
+            return null;
+        }
+
+        const error = this.schemas.validate(action, answer ? 'response' : 'request', obj);
+
+        if (!error) {
+            return null;
+        }
+
+        this.emitter.emit('validationError', error);
+
+        if (mode === 'warn') {
+            this.logger.warn('Invalid payload', { ...Client._describe(obj), path: error.path, error: error.message });
+            return null;
+        }
+
+        return error;
+    }
+
+    // Fails whoever waits on an invalid incoming message instead of delivering it
+    _refuse(obj: Object, error: ValidationError) {
+        const guid = Client._extract_guid(obj);
+        const queue: ?DataQueue = guid ? this.queues.get(guid) : null;
+
+        this.logger.error('Refusing invalid message', { ...Client._describe(obj), path: error.path, error: error.message });
+
+        if (queue) {
+            // Thrown by Convo.expect()
+            queue.put((error: any));
+        }
+        else if (guid && this.handlers.has(obj.action)) {
+            this.send(
+                { ...Client._replyEnvelope(obj), ...ServerError.toPayload(error, guid), action: obj.action, response_id: guid },
+                null,
+                { validate: false },
+            ).catch(e => this.logger.error('Could not send error reply', { ...Client._describe(obj), error: String(e) }));
+        }
+    }
+
+    // Fields addressing a reply to whoever sent `obj`
+    static _replyEnvelope(obj: Object) : Object {
+        const sender = obj[SENDER_FIELD];
+
+        return sender ? { [RECIPIENT_FIELD]: sender } : {};
+    }
+
+    _handleChunkAck(obj: Object) {
+        const ack = obj[CHUNK_ACK_FIELD];
+        const acks = this._transfers.get(_.get(ack, 'transfer_id', null));
+
+        if (!acks) {
+            this.logger.debug('Ignoring ack of unknown transfer', Client._describe(obj));
+            return;
+        }
+
+        acks.put(ack);
+    }
+
+    // Acknowledges a chunk and returns the whole message once its last chunk is in
+    _receiveChunk(obj: Object) : ?Object {
+        const header: ChunkHeader = obj[CHUNK_FIELD];
+        const bytes = _.get(obj, [ATTACHMENTS_FIELD, 'data'], null);
+
+        if (!isChunkHeader(header) || !bytes) {
+            throw new Error('Malformed chunk, expecting a chunk header and data attachment');
+        }
+
+        const { ack, progress, complete } = this.chunks.add(header, toBytes(bytes));
+        const guid = Client._extract_guid(obj);
+        const sender = obj[SENDER_FIELD];
+
+        this.send({
+            ...Client._replyEnvelope(obj),
+            action: obj.action,
+            response_id: guid,
+            [CHUNK_ACK_FIELD]: ack,
+        }, null, { validate: false, middleware: false }).catch(e => this.logger.error('Could not acknowledge chunk', { ...Client._describe(obj), error: String(e) }));
+
+        const transferProgress: TransferProgress = {
+            direction: 'receive',
+            transferId: header.transfer_id,
+            guid,
+            chunks: progress.chunks,
+            totalChunks: header.total,
+            bytes: progress.bytes,
+            totalBytes: header.size,
+        };
+        this.emitter.emit('transferProgress', transferProgress);
+
+        if (!complete) {
+            return null;
+        }
+
+        // The routing of a resumed transfer is that of the convo resuming it
+        return { ...decodeBundle(complete), action: obj.action, response_id: guid, ...(sender ? { [SENDER_FIELD]: sender } : {}) };
+    }
+
+    // Sends `data` with the `routing` fields in acknowledged chunks, see Convo.sendChunked()
+    async _sendChunked(routing: Object, data: Object, options: ChunkedSendOptions = {}) {
+        const { chunkSize = this.options.chunking.chunkSize, onProgress = null, signal = null } = options;
+        const { ackTimeout, retries } = this.options.chunking;
+
+        const invalid = this._validate({ ...data, ...routing }, true);
+
+        if (invalid) {
+            throw invalid;
+        }
+
+        const convo = this.convos.get(routing.response_id);
+
+        // Middleware sees the whole message rather than its chunks
+        const message = this.middleware.has('outbound') && !(convo && !convo.middleware)
+            ? await this.middleware.run('outbound', { ...data, ...routing }, this._middlewareContext('outbound', routing))
+            : { ...data, ...routing };
+
+        if (!message) {
+            this.logger.debug('Dropped by middleware', Client._describe(routing));
+            return;
+        }
+
+        // Chunk frames carry the routing, which keeps the bytes the same when resumed on another convo
+        const bytes = encodeBundle(_.omit(message, Object.keys(routing)));
+        const chunks = splitChunks(bytes, chunkSize);
+        const transferId = options.transferId || uuidv4();
+        const acks: AsyncQueue<ChunkAck> = new AsyncQueue();
+
+        if (this._transfers.has(transferId)) {
+            throw new Error(`Transfer ${transferId} is still in progress`);
+        }
+
+        let next = 0;
+        let attempts = 0;
+
+        this._transfers.set(transferId, acks);
+
+        try {
+            while (next < chunks.length) {
+                const header: ChunkHeader = { transfer_id: transferId, seq: next, total: chunks.length, size: bytes.length };
+                let ack: ChunkAck;
+
+                await this.send({ ...routing, [CHUNK_FIELD]: header, [ATTACHMENTS_FIELD]: { data: chunks[next] } }, null, { signal, validate: false, middleware: false });
+
+                try {
+                    ack = await Utils.abortablePromise(acks.getAsync(ackTimeout), signal);
+                }
+                catch (e) {
+                    if (e instanceof Utils.TimeboxTimeout && attempts < retries) {
+                        attempts++;
+                        this.logger.warn('Chunk not acknowledged, sending again', { transferId, seq: next, attempt: attempts });
+                        continue;
+                    }
+
+                    throw e;
+                }
+
+                // Comes from the other end, a bad one would end the loop with chunks unsent
+                if (!Number.isInteger(ack.next) || ack.next < 0 || ack.next > chunks.length) {
+                    throw new Error(`Malformed acknowledgement for transfer ${transferId}: next ${JSON.stringify(ack.next) || 'missing'}`);
+                }
+
+                // The receiver may already have later chunks when a transfer is resent
+                attempts = 0;
+                next = Math.max(next, ack.next);
+
+                const progress: TransferProgress = {
+                    direction: 'send',
+                    transferId,
+                    guid: routing.response_id || null,
+                    chunks: next,
+                    totalChunks: chunks.length,
+                    bytes: Math.min(next * chunkSize, bytes.length),
+                    totalBytes: bytes.length,
+                };
+
+                this.emitter.emit('transferProgress', progress);
+
+                if (onProgress) {
+                    onProgress(progress);
+                }
+            }
+        }
+        finally {
+            this._transfers.delete(transferId);
+            acks.close();
+        }
+    }
+
+    // Hands messages that belong to no convo to matching subscribers, messages
+    // nobody listens to are dropped rather than kept around.
+    _dispatch(obj: Object) {
+        const matching = this.subscriptions.filter(({ matcher }) =>
+            typeof matcher === 'function' ? matcher(obj) : obj.action === matcher
+        );
+
+        if (!matching.length) {
+            this.emitter.emit('unhandledMessage', obj);
+            return;
+        }
+
+        matching.forEach(({ handler }) => {
+            try {
+                handler(obj);
+            }
+            catch (e) {
+                this.logger.error('Error occurred in subscriber', { ...Client._describe(obj), error: String(e) });
+            }
+        });
+    }
+
+    // Subscribes `handler` to inbound messages that are not part of a convo,
+    // returns a function that unsubscribes it.
+    subscribe(matcher: MessageMatcher, handler: MessageHandler) : () => void {
+        const subscription: Subscription = { matcher, handler };
+
+        this.subscriptions.push(subscription);
+
+        return () => {
+            this.subscriptions = this.subscriptions.filter(s => s !== subscription);
+        };
+    }
+
+    on(matcher: MessageMatcher, handler: MessageHandler) : () => void {
+        return this.subscribe(matcher, handler);
+    }
+
+    // Adds stages every outgoing and incoming message passes through, see
+    // MiddlewarePipeline. Returns a function that removes them again.
+    use(middleware: Middleware) : () => void {
+        return this.middleware.use(middleware);
+    }
+
+    // Registers `handler` to answer convos others start with `actionName`,
+    // returns a function that unregisters it.
+    handle(actionName: string, handler: InboundHandler) : () => void {
+        if (this.handlers.has(actionName)) {
+            throw new Error(`A handler for "${actionName}" is already registered`);
+        }
+
+        this.handlers.set(actionName, handler);
+
+        return () => {
+            if (this.handlers.get(actionName) === handler) {
+                this.handlers.delete(actionName);
+            }
+        };
+    }
+
+    // Runs the handler of an inbound convo on the guid it arrived with. Whatever
+    // the handler throws is sent back as an error frame.
+    async _accept(obj: Object, guid: string) {
+        const actionName = obj.action;
+        const handler = this.handlers.get(actionName);
+
+        if (!handler) {
+            return;
+        }
+
+        // Replies to a peer go back to it rather than to the server
+        const sender = obj[SENDER_FIELD];
+        const convo = new Convo(this, actionName, guid, null, Client._replyEnvelope(obj));
+
+        convo.accepted = true;
+
+        this.logger.debug('Accepted convo', { action: actionName, guid, sender });
+
+        this.convos.set(guid, convo);
+        this.queues.set(guid, new AsyncQueue());
+
+        try {
+            const reply = await handler(convo, obj);
+
+            if (reply) {
+                await convo.send(reply);
+            }
+        }
         catch (e) {
-            console.error('Error parsing message:', e);
+            this.logger.error('Error occurred in handler', { action: actionName, guid, error: String(e) });
+
+            await convo.send(ServerError.toPayload(e, guid))
+                .catch(e => this.logger.error('Could not send error reply', { action: actionName, guid, error: String(e) }));
+        }
+        finally {
+            this._endConvo(guid);
         }
     }
 
-    async getMessageAsync(guid: string) {
+    async getMessageAsync(guid: string, timeout: ?number = null) {
         let queue: ?DataQueue = this.queues.get(guid);
 
         if (!queue) {
             this.queues.set(guid, queue = new AsyncQueue());
         }
 
-        return queue.getAsync();
+        return queue.getAsync(timeout);
     }
 
-    async send(data: Object, timeout: number=2000) {
-        const json = JSON.stringify(data);
-        const state = this.ws.readyState;
+    async send(data: Object, timeout: ?number = null, options: SendOptions = {}) {
+        const { signal = null, validate = true, middleware = true } = options;
+        const outbox = this.outbox;
+
+        if (signal && signal.aborted) {
+            throw new Utils.AbortError(signal.reason);
+        }
+
+        const invalid = validate ? this._validate(data, true) : null;
+
+        if (invalid) {
+            throw invalid;
+        }
+
+        if (middleware && this.middleware.has('outbound')) {
+            const result = await Utils.abortablePromise(
+                this.middleware.run('outbound', data, this._middlewareContext('outbound', data)),
+                signal,
+            );
+
+            if (!result) {
+                this.logger.debug('Dropped by middleware', Client._describe(data));
+                return;
+            }
+
+            data = result;
+        }
+
+        const state = this.state;
+
+        if (timeout === null || timeout === undefined) {
+            timeout = this.options.timeouts.send;
+        }
 
         switch (state) {
-            case WS_STATE.CONNECTING:
-                console.log('Socket still opening, waiting to send', data);
+            case ConnectionState.IDLE:
+                if (outbox) {
+                    this.logger.debug('Socket not connected yet, buffering in outbox', Client._describe(data));
+                    return Utils.abortablePromise(outbox.push(data), signal, () => { outbox.remove(data); });
+                }
+
+                throw new Error('Socket is not connected, call connect() first');
 
-                await this.wait('open', timeout).catch(data => { throw new Error(data); });
+            case ConnectionState.CONNECTING:
+            case ConnectionState.RECONNECTING:
+                if (outbox) {
+                    this.logger.debug('Buffering in outbox', { state, ...Client._describe(data) });
+                    return Utils.abortablePromise(outbox.push(data), signal, () => { outbox.remove(data); });
+                }
+
+                this.logger.debug('Waiting to send', { state, ...Client._describe(data) });
+
+                await Utils.abortablePromise(
+                    this.waitForState(ConnectionState.OPEN, timeout).catch(data => { throw new Error(data); }),
+                    signal,
+                );
                 break;
 
-            case WS_STATE.OPEN:
+            case ConnectionState.OPEN:
                 break;
 
-            case WS_STATE.CLOSED:
-            case WS_STATE.CLOSING:
-                throw new Error('Socket is closing or closed!');
+            case ConnectionState.CLOSING:
+            case ConnectionState.CLOSED:
+            case ConnectionState.FAILED:
+                throw new Error(`Socket is closing or closed! (${state})`);
 
             default:
                 throw Error('Unknown state ' + JSON.stringify(state));
         }
 
-        console.log('Sending', data);
+        return this._write(data);
+    }
+
+    _write(data: Object) {
+        if (hasAttachments(data) && !this.codec.binary) {
+            const { envelope, frames } = splitAttachments(data);
+
+            this._write(envelope);
+            frames.forEach(frame => this._sendFrame(frame));
+            return;
+        }
+
+        const frame = this.codec.encode(normalizeAttachments(data));
+
+        this.logger.debug('Sending', { ...Client._describe(data), bytes: frameSize(frame), payload: data });
+
+        return this._sendFrame(frame);
+    }
+
+    _sendFrame(frame: Frame) {
+        const { threshold } = this.options.compression;
 
-        return this.ws.send(json);
+        return this.ws.send(this.compression ? compressFrame(frame, this.compression, threshold) : frame);
     }
 
-    async convo(actionName: string, asyncAction: (Convo, string) => Promise<void>) {
+    // Fields identifying a message in log lines, without its payload
+    static _describe(obj: Object) : { action: mixed, guid: mixed } {
+        return { action: _.get(obj, 'action', null), guid: Client._extract_guid(obj) };
+    }
+
+    // Runs `asyncAction` as a conversation on a fresh guid and resolves with its result
+    //
+    // Aborting `signal` rejects with an AbortError right away and closes the
+    // convo's queue, so whatever `asyncAction` is still expecting fails as well.
+    async convo<R>(
+        actionName: string,
+        asyncAction: (Convo, string) => Promise<R>,
+        options: ConvoOptions = {},
+    ) : Promise<R> {
+        const { signal = null, sendCancel = false, envelope = {}, middleware = true } = options;
+
+        if (signal && signal.aborted) {
+            throw new Utils.AbortError(signal.reason);
+        }
+
         const guid = uuidv4();
-        const convo = new Convo(this, actionName, guid);
+        const convo = new Convo(this, actionName, guid, signal, envelope);
+
+        convo.middleware = middleware;
 
         this.convos.set(guid, convo);
+        this.queues.set(guid, new AsyncQueue());
 
         const maybePromise = asyncAction(convo, guid);
 
@@ -143,81 +1166,406 @@ export default class Client {
             throw new Error('asyncAction must be promise/async');
         }
 
+        const handleAbort = () => {
+            this.logger.info('Convo aborted', { action: actionName, guid });
+            this._endConvo(guid);
+
+            if (sendCancel) {
+                this.send({ ...envelope, action: actionName, response_id: guid, cancel: true }, null, { validate: false, middleware })
+                    .catch(e => this.logger.error('Could not send cancel', { action: actionName, guid, error: String(e) }));
+            }
+        };
+
         try {
-            const result = await maybePromise;
+            return await Utils.abortablePromise(maybePromise, signal, handleAbort);
         }
         catch (e) {
-            console.error(`Error occurred while in convo for ${actionName}:${guid}: ${e}`)
+            this.logger.error('Error occurred while in convo', { action: actionName, guid, error: String(e) });
             throw e;
         }
         finally {
-            this.convos.delete(guid);
-            const queue: ?DataQueue = this.queues.get(guid);
+            this._endConvo(guid);
+        }
+    }
+
+    _endConvo(guid: string) {
+        this.convos.delete(guid);
+        this.closeQueue(guid);
+    }
+
+    // Closes the queue of `guid`, failing anything still waiting on it
+    closeQueue(guid: string) {
+        const queue: ?DataQueue = this.queues.get(guid);
 
-            if (queue) {
-                queue.close();
-                this.queues.delete(guid);
+        if (queue) {
+            queue.close();
+            this.queues.delete(guid);
+        }
+    }
+
+    // Sends `payload` as `actionName` and resolves with the single reply, rejects
+    // with a ServerError on an error reply or TimeboxTimeout if none arrives.
+    async request(actionName: string, payload: Object = {}, options: RequestOptions = {}) : Promise<Object> {
+        const { timeout = null, raw = false, signal = null, sendCancel = false, envelope = {}, middleware = true } = options;
+
+        return this.convo(
+            actionName,
+            convo => convo.sendAndExpect(payload, timeout, { raw }),
+            { signal, sendCancel, envelope, middleware },
+        );
+    }
+
+    // Asks every member of the room the same thing on a single convo guid and
+    // gathers their replies until the deadline.
+    async broadcastRequest(
+        actionName: string,
+        payload: Object = {},
+        options: BroadcastOptions = {},
+    ) : Promise<BroadcastResult> {
+        const { timeout = null, minResponses = 0, expectedPeers = null, signal = null } = options;
+        const deadline = MonotonicNow() + (timeout === null || timeout === undefined ? this.options.timeouts.expect : timeout);
+
+        const result: BroadcastResult = { responses: new Map(), errors: new Map(), missing: [] };
+        const answered = (peer: string) => result.responses.has(peer) || result.errors.has(peer);
+
+        await this.convo(actionName, async convo => {
+            await convo.send(payload);
+
+            while (!expectedPeers || !expectedPeers.every(answered)) {
+                const remaining = deadline - MonotonicNow();
+                let message: Object;
+
+                if (remaining <= 0) {
+                    break;
+                }
+
+                try {
+                    message = await convo.expect(remaining, { raw: true });
+                }
+                catch (e) {
+                    if (e instanceof Utils.TimeboxTimeout || e instanceof AsyncQueueClosed) {
+                        break;
+                    }
+
+                    // Already logged when refused, one bad reply should not cost us the others
+                    if (e instanceof ValidationError) {
+                        continue;
+                    }
+
+                    throw e;
+                }
+
+                const sender = _.get(message, SENDER_FIELD, null);
+
+                if (!sender) {
+                    this.logger.warn('Ignoring broadcast reply without sender', Client._describe(message));
+                }
+                else if (ServerError.isErrorPayload(message)) {
+                    result.errors.set(sender, ServerError.fromPayload(message));
+                }
+                else {
+                    result.responses.set(sender, message);
+                }
             }
+        }, { signal });
+
+        result.missing = (expectedPeers || []).filter(peer => !answered(peer));
+
+        if (result.responses.size < minResponses) {
+            throw new InsufficientResponses(minResponses, result);
         }
+
+        return result;
+    }
+
+    // Handle for messaging another member of the room, see Peer
+    peer(memberId: string) : Peer {
+        return new Peer(this, memberId);
     }
 
     async close(code:number = 1000, reason: string = '') {
-        return this.ws.close(code, reason);
+        this._closeRequested = true;
+        this._clearOutbox();
+        this.chunks.clear();
+
+        if (this._reconnectTimer) {
+            clearTimeout(this._reconnectTimer);
+            this._reconnectTimer = null;
+        }
+
+        switch (this.state) {
+            case ConnectionState.CONNECTING:
+            case ConnectionState.OPEN:
+                this._setState(ConnectionState.CLOSING, 'close-requested');
+                return this.ws.close(code, reason);
+
+            // Nothing to wait on, though a redial may have a socket dialing already
+            case ConnectionState.IDLE:
+            case ConnectionState.RECONNECTING:
+            case ConnectionState.FAILED: {
+                const ws = this.ws;
+
+                // Events from the dropped socket are ignored from here on
+                this.ws = null;
+
+                if (ws) {
+                    try {
+                        ws.close(code, reason);
+                    }
+                    catch (e) {
+                        this.logger.error('Error occurred while closing socket', { error: String(e) });
+                    }
+                }
+
+                this._setState(ConnectionState.CLOSED, 'close-requested');
+                break;
+            }
+        }
     }
 
-    wait(eventName: string, timeout: number) : Promise<any> {
+    wait(eventName: string, timeout: number, signal: ?Utils.AbortSignalLike = null) : Promise<any> {
         let unsub: ?() => void = null;
 
-        return Utils.timeboxPromise(new Promise((resolve, reject) => {
-                unsub = this.emitter.once(eventName, resolve);
-            }),
-            timeout,
-            () => {
-                if (unsub) {
-                    unsub();
-                }
+        const cleanup = () => {
+            if (unsub) {
+                unsub();
             }
+        };
+
+        return Utils.abortablePromise(
+            Utils.timeboxPromise(new Promise((resolve, reject) => {
+                    this.emitter.once(eventName, resolve);
+                    unsub = () => this.emitter.off(eventName, resolve);
+                }),
+                timeout,
+                cleanup,
+            ),
+            signal,
+            cleanup,
         );
     }
+
+    // Resolves with the StateChange that entered `state` (or any of several states),
+    // or null when already in it
+    waitForState(
+        state: ConnectionStateType | Array<ConnectionStateType>,
+        timeout: number,
+    ) : Promise<?StateChange> {
+        const states = Array.isArray(state) ? state : [state];
+
+        if (states.includes(this.state)) {
+            return Promise.resolve(null);
+        }
+
+        let listener: ?(StateChange) => void = null;
+
+        const unsub = () => {
+            if (listener) {
+                this.emitter.off('stateChange', listener);
+                listener = null;
+            }
+        };
+
+        const promise = new Promise(resolve => {
+            listener = (change: StateChange) => {
+                if (states.includes(change.next)) {
+                    resolve(change);
+                }
+            };
+
+            this.emitter.on('stateChange', listener);
+        });
+
+        // Unsubscribing asynchronously, the emitter does not tolerate removal mid-emit
+        promise.then(unsub);
+
+        return Utils.timeboxPromise(promise, timeout, unsub);
+    }
+}
+
+// Exception for waiting on an AsyncQueue that has been closed
+export class AsyncQueueClosed {
+    toString() : string {
+        return 'AsyncQueue closing';
+    }
+}
+
+// Exception for putting into a bounded AsyncQueue that has no room left
+export class AsyncQueueFull {
+    capacity: number;
+
+    constructor(capacity: number) {
+        this.capacity = capacity;
+    }
+
+    toString() : string {
+        return `AsyncQueue is full (capacity ${this.capacity})`;
+    }
 }
 
+// What a bounded queue does with a put() once it reaches capacity
+export type QueueOverflow = 'block' | 'drop-oldest' | 'error';
+
+export type AsyncQueueOptions = {
+    capacity?: number,
+    overflow?: QueueOverflow,
+};
+
+type BlockedPut<T> = {|
+    data: T,
+    deferred: Utils.Deferred<void>,
+|};
+
 export class AsyncQueue<T> {
-    _deferred: ?Utils.Deferred<T> = null;
+    capacity: number;
+    overflow: QueueOverflow;
+    closed: boolean = false;
     _items: Array<T> = [];
+    // Consumers waiting for an item, served in the order they started waiting
+    _waiters: Array<Utils.Deferred<T>> = [];
+    // Producers waiting for room in a full 'block' queue
+    _blocked: Array<BlockedPut<T>> = [];
+
+    constructor(options: AsyncQueueOptions = {}) {
+        const { capacity = Infinity, overflow = 'error' } = options;
+
+        this.capacity = capacity;
+        this.overflow = overflow;
+    }
 
+    // A full 'block' queue refuses put() just like an 'error' one, use putAsync()
+    // to wait for room instead.
     put(data: T) {
-        if (this._deferred) {
-            this._deferred.resolve(data);
-            this._deferred = null;
-        } else {
-            this._items.push(data);
+        if (this.closed) {
+            throw new AsyncQueueClosed();
+        }
+
+        const waiter = this._waiters.shift();
+
+        if (waiter) {
+            waiter.resolve(data);
+            return;
         }
+
+        if (this._items.length >= this.capacity) {
+            if (this.overflow !== 'drop-oldest') {
+                throw new AsyncQueueFull(this.capacity);
+            }
+
+            this._items.shift();
+        }
+
+        this._items.push(data);
     }
 
-    close() {
-        if (this._deferred) {
-            this._deferred.reject(new Error('AsyncQueue closing'));
-            this._deferred = null;
+    putAsync(data: T) : Promise<void> {
+        const full = this._items.length >= this.capacity && this._waiters.length === 0;
+
+        if (!this.closed && full && this.overflow === 'block') {
+            const deferred = Utils.createDeferred();
+
+            this._blocked.push({ data, deferred });
+
+            return deferred.promise;
+        }
+
+        try {
+            this.put(data);
+            return Promise.resolve();
+        }
+        catch (e) {
+            return Promise.reject(e);
         }
     }
 
-    async getAsync() {
-        if (this._deferred !== null) {
-            throw new Error('AsyncQueue.get() already blocking');
+    // Rejects all waiting consumers and producers, anything buffered can still be drained
+    close() {
+        this.closed = true;
+
+        this._waiters.splice(0).forEach(waiter => waiter.reject(new AsyncQueueClosed()));
+        this._blocked.splice(0).forEach(({ deferred }) => deferred.reject(new AsyncQueueClosed()));
+    }
+
+    // Waits up to `timeout` ms when given, a timed out consumer gives up its place
+    // in line so that it does not swallow a later item.
+    getAsync(timeout: ?number = null) : Promise<T> {
+        if (this.closed) {
+            return Promise.reject(new AsyncQueueClosed());
         }
 
         if (this._items.length > 0) {
-            return this._items.shift();
+            const item = this._items.shift();
+            this._unblock();
+
+            return Promise.resolve(item);
         }
 
-        this._deferred = Utils.createDeferred();
+        const deferred = Utils.createDeferred();
+        this._waiters.push(deferred);
+
+        if (timeout === null || timeout === undefined) {
+            return deferred.promise;
+        }
+
+        return Utils.timeboxPromise(deferred.promise, timeout, () => {
+            this._waiters = this._waiters.filter(waiter => waiter !== deferred);
+        });
+    }
+
+    peek() : ?T {
+        return this._items.length > 0 ? this._items[0] : null;
+    }
+
+    // Removes and returns everything buffered without waiting
+    drain() : Array<T> {
+        const items = this._items;
+        this._items = [];
+        this._unblock();
+
+        return items;
+    }
+
+    _unblock() {
+        while (this._blocked.length > 0 && this._items.length < this.capacity) {
+            const { data, deferred } = this._blocked.shift();
+
+            this._items.push(data);
+            deferred.resolve();
+        }
+    }
 
-        return this._deferred.promise;
+    get size() : number {
+        return this._items.length;
     }
 
-    get length() {
+    get length() : number {
         return this._items.length;
     }
+
+    get waiters() : number {
+        return this._waiters.length;
+    }
+}
+
+export type ExpectOptions = {
+    raw?: boolean,
+    signal?: ?Utils.AbortSignalLike,
+};
+
+export type StreamOptions = {
+    // Milliseconds to wait for each message before ending the stream, defaults
+    // to the client's expect timeout
+    idleTimeout?: ?number,
+    // Ends the stream after yielding the first message this matches
+    until?: ?(Object) => boolean,
+    isTerminal?: (Object) => boolean,
+    raw?: boolean,
+    signal?: ?Utils.AbortSignalLike,
+};
+
+// Servers mark the last message of a multi-message reply with `done: true`
+export function isTerminalMessage(obj: Object) : boolean {
+    return !!obj && obj.done === true;
 }
 
 export class Convo {
@@ -225,28 +1573,119 @@ export class Convo {
     guid: string;
     action: string;
     startTimestamp: number;
+    // Default signal for every send/expect of this convo
+    signal: ?Utils.AbortSignalLike;
+    envelope: Object;
+    // Whether the other end started the convo, see Client.handle()
+    accepted: boolean;
+    // Whether the convo's frames pass the middleware, see ConvoOptions
+    middleware: boolean;
 
-    constructor(client: Client, action: string, guid: string) {
+    constructor(
+        client: Client,
+        action: string,
+        guid: string,
+        signal: ?Utils.AbortSignalLike = null,
+        envelope: Object = {},
+    ) {
         this.client         = client;
         this.guid           = guid;
         this.action         = action;
         this.startTimestamp = MonotonicNow();
+        this.signal         = signal;
+        this.envelope       = envelope;
+        this.accepted       = false;
+        this.middleware     = true;
     }
 
-    async expect(timeout: number = 5000.0) {
-        return Utils.timeboxPromise(this.client.getMessageAsync(this.guid), timeout);
+    // Rejects with a ServerError when the server replies with an error frame,
+    // unless `raw` is set in which case the frame is returned as is. Aborting
+    // closes the convo's queue, the convo cannot expect anything after that.
+    async expect(timeout: ?number = null, options: ExpectOptions = {}) {
+        const { signal = this.signal } = options;
+
+        if (timeout === null || timeout === undefined) {
+            timeout = this.client.options.timeouts.expect;
+        }
+
+        const message = await Utils.abortablePromise(
+            Utils.timeboxPromise(this.client.getMessageAsync(this.guid, timeout), timeout),
+            signal,
+            () => this.client.closeQueue(this.guid),
+        );
+
+        if (message instanceof ValidationError) {
+            throw message;
+        }
+
+        if (!options.raw && ServerError.isErrorPayload(message)) {
+            throw ServerError.fromPayload((message: any));
+        }
+
+        return message;
     }
 
-    async send(data: Object) {
+    // Yields replies until the terminal message or one matching `until` (both are
+    // yielded), the idle timeout elapses or the convo is closed. Server errors and
+    // aborts are still thrown.
+    async *stream(options: StreamOptions = {}) : AsyncGenerator<Object, void, void> {
+        const {
+            idleTimeout = null,
+            until = null,
+            isTerminal = isTerminalMessage,
+            raw = false,
+            signal = this.signal,
+        } = options;
+
+        while (true) {
+            let message: Object;
+
+            try {
+                message = await this.expect(idleTimeout, { raw, signal });
+            }
+            catch (e) {
+                if (e instanceof Utils.TimeboxTimeout || e instanceof AsyncQueueClosed) {
+                    return;
+                }
+
+                throw e;
+            }
+
+            yield message;
+
+            if (isTerminal(message) || (until && until(message))) {
+                return;
+            }
+        }
+    }
+
+    async send(data: Object, options: SendOptions = {}) {
+        const { signal = this.signal } = options;
+
         return this.client.send({
             ...data,
+            ...this.envelope,
             action: this.action,
             response_id: this.guid,
-        });
+        }, undefined, { signal, middleware: this.middleware });
+    }
+
+    // Sends `data` in sequenced chunks that the other end acknowledges one by one,
+    // for payloads too large for a single frame. Unacknowledged chunks are sent
+    // again up to `chunking.retries` times. To resume a transfer that failed,
+    // give it a `transferId` and send again with the same one.
+    async sendChunked(data: Object, options: ChunkedSendOptions = {}) {
+        const { signal = this.signal } = options;
+
+        return this.client._sendChunked(
+            { ...this.envelope, action: this.action, response_id: this.guid },
+            data,
+            { ...options, signal },
+        );
     }
 
-    async sendAndExpect(data: Object, timeout: number = 5000.0) {
-        await this.send(data);
-        return this.expect(timeout);
+    async sendAndExpect(data: Object, timeout: ?number = null, options: ExpectOptions = {}) {
+        await this.send(data, { signal: options.signal });
+        return this.expect(timeout, options);
     }
 }
@@ -1,6 +1,10 @@
 // @flow
 import WebSocket from 'ws'
-import Client, { AsyncQueue, Convo } from './client';
+import Client, { AsyncQueue, AsyncQueueClosed, AsyncQueueFull, Convo, ConnectionState } from './client';
+import { OutboxError } from './outbox';
+import { InsufficientResponses, ServerError } from './errors';
+import ClientFactory from './factory';
+import { DEFAULT_RECONNECT_OPTIONS, DEFAULT_TIMEOUTS } from './options';
 import * as Utils from './utils';
 
 async function expectThrow(
@@ -35,7 +39,22 @@ async function sleep(time) {
     return timeoutPromise(true, time);
 }
 
+class MockAbortController {
+    signal = {
+        aborted: false,
+        listeners: [],
+        addEventListener(type, fn) { this.listeners.push(fn); },
+        removeEventListener(type, fn) { this.listeners = this.listeners.filter(l => l !== fn); },
+    };
+
+    abort() {
+        this.signal.aborted = true;
+        this.signal.listeners.slice().forEach(fn => fn());
+    }
+}
+
 class MockClient {
+    options = { timeouts: DEFAULT_TIMEOUTS };
     sends: Array<string> = [];
     gets: Array<string> = [];
     getMessageAsync: (guid: string) => Promise<?string>;
@@ -75,6 +94,21 @@ describe('timeboxPromise', () => {
     });
 });
 
+describe('backoffDelay', () => {
+    const options = { initialDelay: 100, maxDelay: 1000, factor: 2, jitter: 0.5 };
+
+    it('grows exponentially up to the max delay', () => {
+        const delays = [0, 1, 2, 3, 4, 5].map(attempt => Utils.backoffDelay(attempt, options, () => 0));
+
+        expect(delays).toEqual([100, 200, 400, 800, 1000, 1000]);
+    });
+
+    it('applies jitter', () => {
+        expect(Utils.backoffDelay(1, options, () => 1)).toBe(100);
+        expect(Utils.backoffDelay(1, options, () => 0.5)).toBe(150);
+    });
+});
+
 describe('AsyncQueue', () => {
     it('gets one item', async () => {
         const queue = new AsyncQueue();
@@ -156,6 +190,82 @@ describe('AsyncQueue', () => {
             { instanceOf: Utils.TimeboxTimeout },
         );
     });
+
+    it('serves several waiting consumers in order', async () => {
+        const queue = new AsyncQueue();
+
+        const first = queue.getAsync();
+        const second = queue.getAsync();
+
+        expect(queue.waiters).toBe(2);
+
+        queue.put('foo');
+        queue.put('foo2');
+
+        expect(await first).toBe('foo');
+        expect(await second).toBe('foo2');
+        expect(queue.waiters).toBe(0);
+    });
+
+    it('does not hand items to timed out consumers', async () => {
+        const queue = new AsyncQueue();
+
+        await expectThrow(queue.getAsync(10), { instanceOf: Utils.TimeboxTimeout });
+
+        queue.put('foo');
+
+        expect(queue.waiters).toBe(0);
+        expect(await queue.getAsync()).toBe('foo');
+    });
+
+    it('drops the oldest item when over capacity', () => {
+        const queue = new AsyncQueue({ capacity: 2, overflow: 'drop-oldest' });
+
+        ['foo', 'foo2', 'foo3'].forEach(item => queue.put(item));
+
+        expect(queue.size).toBe(2);
+        expect(queue.peek()).toBe('foo2');
+        expect(queue.drain()).toEqual(['foo2', 'foo3']);
+        expect(queue.size).toBe(0);
+    });
+
+    it('refuses items when over capacity', async () => {
+        const queue = new AsyncQueue({ capacity: 1 });
+
+        queue.put('foo');
+
+        await expectThrow((async () => queue.put('foo2'))(), { instanceOf: AsyncQueueFull });
+        expect(queue.drain()).toEqual(['foo']);
+    });
+
+    it('blocks producers until there is room', async () => {
+        const queue = new AsyncQueue({ capacity: 1, overflow: 'block' });
+
+        await queue.putAsync('foo');
+
+        let blocked = true;
+        const putPromise = queue.putAsync('foo2').then(() => { blocked = false; });
+
+        await sleep(5);
+        expect(blocked).toBe(true);
+
+        expect(await queue.getAsync()).toBe('foo');
+        await putPromise;
+
+        expect(blocked).toBe(false);
+        expect(await queue.getAsync()).toBe('foo2');
+    });
+
+    it('rejects waiters on close and fails fast afterwards', async () => {
+        const queue = new AsyncQueue();
+
+        const waiting = queue.getAsync();
+        queue.close();
+
+        await expectThrow(waiting, { instanceOf: AsyncQueueClosed });
+        await expectThrow(queue.getAsync(), { instanceOf: AsyncQueueClosed });
+        await expectThrow((async () => queue.put('foo'))(), { instanceOf: AsyncQueueClosed });
+    });
 });
 
 describe('Convo', () => {
@@ -197,6 +307,33 @@ describe('Convo', () => {
             instanceOf: Utils.TimeboxTimeout
         });
     });
+
+    const errorFrame = {
+        error: 'No such room',
+        error_data: { response_id: uuid, code: 'not_found' },
+    };
+
+    it('rejects with a ServerError on error frames', async () => {
+        const convo = new Convo((client: any), 'test_action', uuid);
+
+        client.gets.push((errorFrame: any));
+
+        let error: any = null;
+        await convo.sendAndExpect({msg: 'yo'}).catch(e => { error = e; });
+
+        expect(error).toBeInstanceOf(ServerError);
+        expect(error.code).toBe('not_found');
+        expect(error.message).toBe('No such room');
+        expect(error.payload).toBe(errorFrame);
+    });
+
+    it('returns raw error frames when asked to', async () => {
+        const convo = new Convo((client: any), 'test_action', uuid);
+
+        client.gets.push((errorFrame: any));
+
+        expect(await convo.expect(50, { raw: true })).toBe(errorFrame);
+    });
 });
 
 describe('Client', () => {
@@ -224,6 +361,10 @@ describe('Client', () => {
             this.sends.push(data);
         }
 
+        close() {
+            this.mockDisconnect();
+        }
+
         addEventListener(event, fn) {
             (this: any)[`on${event}`] = fn;
         }
@@ -238,6 +379,11 @@ describe('Client', () => {
             this.onopen({});
         }
 
+        mockDisconnect() {
+            this.readyState = WebSocket.CLOSED;
+            this.onclose({});
+        }
+
         getAllDecodedSends() {
             const results = [];
             this.sends.forEach(msg => results.push(JSON.parse(msg)));
@@ -324,4 +470,939 @@ describe('Client', () => {
             await promise;
          });
     });
+
+    describe('options', () => {
+        it('rejects unknown options', async () => {
+            await expectThrow(
+                (async () => new Client({ url: 'whatever', recconect: {} }))(),
+                { matches: /Unknown client option "recconect"/ },
+            );
+            await expectThrow(
+                (async () => new Client(({ url: 'whatever', reconnect: { delay: 5 } }: any)))(),
+                { matches: /Unknown client option "reconnect.delay"/ },
+            );
+        });
+
+        it('rejects groups that are not objects', async () => {
+            await expectThrow(
+                (async () => new Client(({ url: 'whatever', timeouts: 50 }: any)))(),
+                { matches: /Client option "timeouts" must be an object, got 50/ },
+            );
+            await expectThrow(
+                (async () => new Client(({ url: 'whatever', outbox: 'yes' }: any)))(),
+                { matches: /Client option "outbox" must be an object or a boolean, got "yes"/ },
+            );
+        });
+
+        it('takes a boolean for groups that can be switched on and off', () => {
+            const client = new Client({ url: 'whatever', socketFactory: () => new MockSocket(), reconnect: false, outbox: true });
+
+            expect(client.options.reconnect).toEqual({ ...DEFAULT_RECONNECT_OPTIONS, enabled: false });
+            expect(client.options.outbox.enabled).toBe(true);
+            expect(new ClientFactory({ heartbeat: true }).create({ url: 'whatever', socketFactory: () => new MockSocket() }).options.heartbeat.enabled).toBe(true);
+        });
+
+        it('requires a url', async () => {
+            await expectThrow((async () => new Client({}))(), { matches: /Url parameter/ });
+        });
+
+        it('connects lazily', async () => {
+            const sockets = [];
+            const client = new Client({
+                url: 'whatever',
+                socketFactory: () => { const socket = new MockSocket(); sockets.push(socket); return socket; },
+                autoConnect: false,
+            });
+
+            expect(client.state).toBe(ConnectionState.IDLE);
+            expect(sockets.length).toBe(0);
+            await expectThrow(client.send({data: 'yo'}), { matches: /not connected/ });
+
+            const promise = client.connect();
+            sockets[0].mockConnect();
+            await promise;
+
+            expect(client.state).toBe(ConnectionState.OPEN);
+        });
+
+        it('fails to connect when the connection closes', async () => {
+            const mockSocket = new MockSocket();
+            const client = new Client({
+                url: 'whatever',
+                socketFactory: () => mockSocket,
+                autoConnect: false,
+                reconnect: { enabled: false },
+            });
+
+            const promise = client.connect();
+            mockSocket.mockDisconnect();
+
+            await expectThrow(promise, { matches: /Connection failed \(closed\)/ });
+        });
+
+        it('does not redial a connection that connect() could not open', async () => {
+            const sockets = [];
+            const client = new Client({
+                url: 'whatever',
+                socketFactory: () => { const socket = new MockSocket(); sockets.push(socket); return socket; },
+                autoConnect: false,
+                reconnect: { initialDelay: 5, jitter: 0 },
+            });
+
+            const promise = client.connect();
+            sockets[0].mockDisconnect();
+
+            await expectThrow(promise, { matches: /Connection failed \(closed\)/ });
+            await sleep(20);
+            expect(sockets.length).toBe(1);
+            expect(client.state).toBe(ConnectionState.CLOSED);
+
+            // Once open it is redialed as usual
+            const reconnected = client.connect();
+            sockets[1].mockConnect();
+            await reconnected;
+            sockets[1].mockDisconnect();
+
+            expect(client.state).toBe(ConnectionState.RECONNECTING);
+            await client.close();
+        });
+
+        it('gives up on a connection that does not open in time', async () => {
+            const sockets = [];
+            const client = new Client({
+                url: 'whatever',
+                socketFactory: () => { const socket = new MockSocket(); sockets.push(socket); return socket; },
+                autoConnect: false,
+                timeouts: { connect: 20 },
+                reconnect: { initialDelay: 5, jitter: 0 },
+            });
+
+            await expectThrow(client.connect(), { matches: /Connection failed \(not open after 20ms\)/ });
+            await sleep(20);
+
+            expect(sockets.length).toBe(1);
+            expect(sockets[0].readyState).toBe(WebSocket.CLOSED);
+            expect(client.state).toBe(ConnectionState.CLOSED);
+        });
+
+        it('logs structured lines through the given logger', async () => {
+            const lines = [];
+            const record = level => (message, fields) => { lines.push([level, message, fields]); };
+            const logger = { debug: record('debug'), info: record('info'), warn: record('warn'), error: record('error') };
+
+            const mockSocket = new MockSocket();
+            const client = new Client({
+                url: 'whatever',
+                socketFactory: () => mockSocket,
+                logger,
+                logLevel: 'debug',
+                redact: () => '[redacted]',
+            });
+
+            mockSocket.mockConnect();
+            await client.send({ action: 'login', password: 'hunter2' });
+
+            expect(lines).toEqual([
+                ['info', 'Connection socket opened', undefined],
+                ['debug', 'Sending', { action: 'login', guid: null, bytes: 39, payload: '[redacted]' }],
+            ]);
+        });
+
+        it('creates clients from shared defaults', async () => {
+            const mockSocket = new MockSocket();
+            const factory = new ClientFactory({
+                socketFactory: () => mockSocket,
+                timeouts: { expect: 10 },
+            });
+
+            const promise = factory.connect({ url: 'whatever', timeouts: { send: 20 } });
+            mockSocket.mockConnect();
+            const client = await promise;
+
+            expect(client.options.timeouts).toEqual({ send: 20, expect: 10, connect: 10000 });
+            await expectThrow(client.request('whoami'), { instanceOf: Utils.TimeboxTimeout });
+        });
+    });
+
+    describe('rooms', () => {
+        it('builds and escapes the room url', () => {
+            const urls = [];
+            const client = ClientFactory.room('ws://host:8765/', 'some channel', 'room/1', {
+                socketFactory: url => { urls.push(url); return new MockSocket(); },
+            });
+
+            expect(urls).toEqual(['ws://host:8765/some%20channel/room%2F1/']);
+            expect(client.channel).toBe('some channel');
+            expect(client.room).toBe('room/1');
+        });
+
+        it('switches rooms keeping subscriptions and the outbox', async () => {
+            const sockets = [];
+            const urls = [];
+            const client = new ClientFactory({ outbox: { enabled: true } }).room('ws://host', 'chan', 'a', {
+                socketFactory: url => { const socket = new MockSocket(); urls.push(url); sockets.push(socket); return socket; },
+            });
+
+            const received = [];
+            client.on('broadcast', msg => { received.push(msg.room); });
+
+            sockets[0].mockConnect();
+            sockets[0].mockServerSend(JSON.stringify({ action: 'broadcast', room: 'a' }));
+
+            const switched = client.switchRoom('chan', 'b');
+            const sent = client.send({ data: 'hi b' });
+
+            expect(client.state).toBe(ConnectionState.RECONNECTING);
+
+            sockets[1].mockConnect();
+            await switched;
+            await sent;
+
+            sockets[0].mockServerSend(JSON.stringify({ action: 'broadcast', room: 'stale' }));
+            sockets[1].mockServerSend(JSON.stringify({ action: 'broadcast', room: 'b' }));
+
+            expect(urls).toEqual(['ws://host/chan/a/', 'ws://host/chan/b/']);
+            expect(client.room).toBe('b');
+            expect(received).toEqual(['a', 'b']);
+            expect(sockets[1].getAllDecodedSends()).toEqual([{ data: 'hi b' }]);
+        });
+    });
+
+    describe('request', () => {
+        it('resolves with the single reply and tears down the convo', async () => {
+            const mockSocket = new MockSocket();
+            const client = new Client({ url: 'whatever', socketFactory: () => mockSocket });
+
+            mockSocket.mockConnect();
+
+            const promise = client.request('whoami', { verbose: true }, { timeout: 50 });
+            await sleep(5);
+
+            const sent: any = mockSocket.popDecoded();
+            expect(sent).toEqual({ action: 'whoami', verbose: true, response_id: expect.any(String) });
+
+            mockSocket.mockServerSend(JSON.stringify({ name: 'me', response_id: sent.response_id }));
+
+            expect(await promise).toEqual({ name: 'me', response_id: sent.response_id });
+            expect(client.convos.size).toBe(0);
+            expect(client.queues.size).toBe(0);
+        });
+
+        it('rejects with a ServerError', async () => {
+            const mockSocket = new MockSocket();
+            const client = new Client({ url: 'whatever', socketFactory: () => mockSocket });
+
+            mockSocket.mockConnect();
+
+            const promise = client.request('whoami', {}, { timeout: 50 });
+            await sleep(5);
+
+            const sent: any = mockSocket.popDecoded();
+            mockSocket.mockServerSend(JSON.stringify({
+                error: 'Nope',
+                error_data: { response_id: sent.response_id },
+            }));
+
+            await expectThrow(promise, { instanceOf: ServerError, matches: /Nope/ });
+        });
+
+        it('rejects when aborted', async () => {
+            const mockSocket = new MockSocket();
+            const client = new Client({ url: 'whatever', socketFactory: () => mockSocket });
+            const controller = new MockAbortController();
+
+            mockSocket.mockConnect();
+
+            const promise = client.request('whoami', {}, { timeout: 50, signal: controller.signal });
+            await sleep(5);
+            controller.abort();
+
+            await expectThrow(promise, { instanceOf: Utils.AbortError });
+        });
+    });
+
+    describe('cancellation', () => {
+        it('aborts a convo, its expects and notifies the server', async () => {
+            const mockSocket = new MockSocket();
+            const client = new Client({ url: 'whatever', socketFactory: () => mockSocket });
+            const controller = new MockAbortController();
+
+            mockSocket.mockConnect();
+
+            let expectPromise: any = null;
+            let convoGuid: any = null;
+
+            const promise = client.convo('foo', async (convo, guid) => {
+                convoGuid = guid;
+                expectPromise = convo.expect(100);
+                await expectPromise;
+            }, { signal: controller.signal, sendCancel: true });
+
+            await sleep(5);
+            controller.abort();
+
+            await expectThrow(promise, { instanceOf: Utils.AbortError });
+            await expectThrow(expectPromise, { instanceOf: Utils.AbortError });
+
+            expect(client.convos.size).toBe(0);
+            expect(client.queues.size).toBe(0);
+            expect(mockSocket.popDecoded()).toEqual({ action: 'foo', response_id: convoGuid, cancel: true });
+        });
+
+        it('aborts a single expect', async () => {
+            const mockSocket = new MockSocket();
+            const client = new Client({ url: 'whatever', socketFactory: () => mockSocket });
+            const controller = new MockAbortController();
+
+            mockSocket.mockConnect();
+
+            await client.convo('foo', async convo => {
+                setTimeout(() => controller.abort(), 5);
+
+                await expectThrow(
+                    convo.sendAndExpect({}, 100, { signal: controller.signal }),
+                    { instanceOf: Utils.AbortError },
+                );
+                expect(client.queues.size).toBe(0);
+            });
+        });
+
+        it('aborts a send waiting for the connection', async () => {
+            const mockSocket = new MockSocket();
+            const client = new Client({ url: 'whatever', socketFactory: () => mockSocket });
+            const controller = new MockAbortController();
+
+            const promise = client.send({data: 'yo'}, 100, { signal: controller.signal });
+            controller.abort();
+
+            await expectThrow(promise, { instanceOf: Utils.AbortError });
+            mockSocket.mockConnect();
+            expect(mockSocket.sends).toEqual([]);
+        });
+
+        it('aborts waiting for an event', async () => {
+            const client = new Client({ url: 'whatever', socketFactory: () => new MockSocket() });
+            const controller = new MockAbortController();
+
+            const promise = client.wait('open', 100, controller.signal);
+            controller.abort();
+
+            await expectThrow(promise, { instanceOf: Utils.AbortError });
+        });
+    });
+
+    describe('stream', () => {
+        async function streamed(options, serverSends, afterSends: (Client, string) => mixed = () => {}) {
+            const mockSocket = new MockSocket();
+            const client = new Client({ url: 'whatever', socketFactory: () => mockSocket });
+
+            mockSocket.mockConnect();
+
+            return client.convo('tail', async (convo, guid) => {
+                serverSends.forEach(data => {
+                    mockSocket.mockServerSend(JSON.stringify({ ...data, response_id: guid }));
+                });
+                afterSends(client, guid);
+
+                const received = [];
+
+                for await (const msg of convo.stream(options)) {
+                    const { response_id, ...rest } = msg;
+                    received.push(rest);
+                }
+
+                return received;
+            });
+        }
+
+        it('ends on the terminal message', async () => {
+            expect(await streamed({}, [{ line: 1 }, { line: 2, done: true }, { line: 3 }])).toEqual(
+                [{ line: 1 }, { line: 2, done: true }]
+            );
+        });
+
+        it('ends when the predicate matches', async () => {
+            expect(await streamed({ until: msg => msg.line === 2 }, [{ line: 1 }, { line: 2 }, { line: 3 }])).toEqual(
+                [{ line: 1 }, { line: 2 }]
+            );
+        });
+
+        it('ends when idle for too long', async () => {
+            expect(await streamed({ idleTimeout: 20 }, [{ line: 1 }])).toEqual([{ line: 1 }]);
+        });
+
+        it('ends when the convo queue is closed', async () => {
+            const close = (client, guid) => setTimeout(() => client.closeQueue(guid), 10);
+
+            expect(await streamed({ idleTimeout: 100 }, [{ line: 1 }], close)).toEqual([{ line: 1 }]);
+        });
+
+        it('throws server errors', async () => {
+            await expectThrow(
+                streamed({}, [{ line: 1 }, { error: 'Gone', error_data: {} }]),
+                { instanceOf: ServerError },
+            );
+        });
+    });
+
+    describe('peers', () => {
+        it('addresses frames to the peer', async () => {
+            const mockSocket = new MockSocket();
+            const client = new Client({ url: 'whatever', socketFactory: () => mockSocket });
+
+            mockSocket.mockConnect();
+            await client.peer('bob').send('poke', { n: 1 });
+
+            expect(mockSocket.popDecoded()).toEqual({ action: 'poke', n: 1, recipient: 'bob' });
+        });
+
+        it('correlates peer replies by response_id', async () => {
+            const mockSocket = new MockSocket();
+            const client = new Client({ url: 'whatever', socketFactory: () => mockSocket });
+
+            mockSocket.mockConnect();
+
+            const promise = client.peer('bob').request('version', {}, { timeout: 50 });
+            await sleep(5);
+
+            const sent: any = mockSocket.popDecoded();
+            expect(sent).toEqual({ action: 'version', recipient: 'bob', response_id: expect.any(String) });
+
+            mockSocket.mockServerSend(JSON.stringify({ version: 2, sender: 'bob', response_id: sent.response_id }));
+
+            expect(await promise).toEqual({ version: 2, sender: 'bob', response_id: sent.response_id });
+        });
+
+        it('keeps the envelope for the whole convo', async () => {
+            const mockSocket = new MockSocket();
+            const client = new Client({ url: 'whatever', socketFactory: () => mockSocket });
+
+            mockSocket.mockConnect();
+
+            await client.peer('bob').convo('chat', async (convo, guid) => {
+                await convo.send({ text: 'hi' });
+                await convo.send({ text: 'bye' });
+            });
+
+            expect(mockSocket.getAllDecodedSends().map(({ text, recipient }) => [text, recipient])).toEqual([
+                ['hi', 'bob'],
+                ['bye', 'bob'],
+            ]);
+        });
+    });
+
+    describe('broadcastRequest', () => {
+        function connectedClient() {
+            const mockSocket = new MockSocket();
+            const client = new Client({ url: 'whatever', socketFactory: () => mockSocket });
+
+            mockSocket.mockConnect();
+
+            return { client, mockSocket };
+        }
+
+        function reply(mockSocket, guid, sender, data = {}) {
+            mockSocket.mockServerSend(JSON.stringify({ ...data, action: 'version', response_id: guid, sender }));
+        }
+
+        it('gathers replies until the deadline', async () => {
+            const { client, mockSocket } = connectedClient();
+
+            const promise = client.broadcastRequest('version', { verbose: true }, { timeout: 300, expectedPeers: ['alice', 'bob'] });
+            await sleep(5);
+
+            const sent: any = mockSocket.popDecoded();
+            expect(sent).toEqual({ action: 'version', response_id: expect.any(String), verbose: true });
+
+            reply(mockSocket, sent.response_id, 'alice', { version: 2 });
+            reply(mockSocket, sent.response_id, 'carol', { error: 'Nope', error_data: { code: 'denied' } });
+
+            const { responses, errors, missing } = await promise;
+
+            expect(Array.from(responses.keys())).toEqual(['alice']);
+            expect(responses.get('alice')).toMatchObject({ version: 2 });
+            expect(errors.get('carol')).toMatchObject({ code: 'denied', message: 'Nope' });
+            expect(missing).toEqual(['bob']);
+        });
+
+        it('resolves early once every expected peer replied', async () => {
+            const { client, mockSocket } = connectedClient();
+
+            const promise = client.broadcastRequest('version', {}, { timeout: 5000, expectedPeers: ['alice', 'bob'] });
+            await sleep(5);
+
+            const { response_id } = (mockSocket.popDecoded(): any);
+            reply(mockSocket, response_id, 'alice');
+            reply(mockSocket, response_id, 'bob');
+
+            const result: any = await Promise.race([promise, timeoutPromise(null, 100)]);
+
+            expect(result.responses.size).toBe(2);
+            expect(result.missing).toEqual([]);
+            expect(client.queues.size).toBe(0);
+        });
+
+        it('rejects without enough responses', async () => {
+            const { client, mockSocket } = connectedClient();
+
+            const promise = client.broadcastRequest('version', {}, { timeout: 200, minResponses: 2 });
+            await sleep(5);
+
+            reply(mockSocket, (mockSocket.popDecoded(): any).response_id, 'alice');
+
+            const error: any = await promise.catch(e => e);
+            expect(error).toBeInstanceOf(InsufficientResponses);
+            expect(error.result.responses.size).toBe(1);
+        });
+    });
+
+    describe('handlers', () => {
+        function connectedClient() {
+            const mockSocket = new MockSocket();
+            const client = new Client({ url: 'whatever', socketFactory: () => mockSocket });
+
+            mockSocket.mockConnect();
+
+            return { client, mockSocket };
+        }
+
+        it('replies on the inbound guid', async () => {
+            const { client, mockSocket } = connectedClient();
+
+            client.handle('add', async (convo, msg) => ({ sum: msg.a + msg.b }));
+            mockSocket.mockServerSend(JSON.stringify({ action: 'add', response_id: 'guid-1', a: 1, b: 2 }));
+            await sleep(5);
+
+            expect(mockSocket.popDecoded()).toEqual({ action: 'add', response_id: 'guid-1', sum: 3 });
+            expect(client.queues.size).toBe(0);
+        });
+
+        it('lets handlers carry on the convo', async () => {
+            const { client, mockSocket } = connectedClient();
+
+            client.handle('login', async convo => {
+                const { password } = (await convo.sendAndExpect({ ask: 'password' }, 50): any);
+                await convo.send({ ok: password === 'hunter2' });
+            });
+
+            mockSocket.mockServerSend(JSON.stringify({ action: 'login', response_id: 'guid-1' }));
+            await sleep(5);
+            expect(mockSocket.popDecoded()).toEqual({ action: 'login', response_id: 'guid-1', ask: 'password' });
+
+            mockSocket.mockServerSend(JSON.stringify({ action: 'login', response_id: 'guid-1', password: 'hunter2' }));
+            await sleep(5);
+            expect(mockSocket.popDecoded()).toEqual({ action: 'login', response_id: 'guid-1', ok: true });
+        });
+
+        it('logs failures outside the handler', async () => {
+            const errors = [];
+            const mockSocket = new MockSocket();
+            const logger = {
+                debug: message => {
+                    if (message === 'Accepted convo') {
+                        throw new Error('Logger down');
+                    }
+                },
+                info: () => {},
+                warn: () => {},
+                error: (message, fields) => { errors.push([message, fields]); },
+            };
+            const client = new Client({ url: 'whatever', socketFactory: () => mockSocket, logger, logLevel: 'debug' });
+
+            mockSocket.mockConnect();
+            client.handle('add', async () => ({ sum: 3 }));
+            mockSocket.mockServerSend(JSON.stringify({ action: 'add', response_id: 'guid-1' }));
+            await sleep(5);
+
+            expect(errors).toEqual([['Error accepting convo', { action: 'add', guid: 'guid-1', error: 'Error: Logger down' }]]);
+            expect(client.convos.size).toBe(0);
+            expect(client.queues.size).toBe(0);
+        });
+
+        it('replies with an error frame when the handler throws', async () => {
+            const { client, mockSocket } = connectedClient();
+
+            client.handle('fail', async () => {
+                throw new ServerError('nope', 'Not today', {});
+            });
+            mockSocket.mockServerSend(JSON.stringify({ action: 'fail', response_id: 'guid-1' }));
+            await sleep(5);
+
+            const reply: any = mockSocket.popDecoded();
+            expect(ServerError.fromPayload(reply)).toMatchObject({ code: 'nope', message: 'Not today' });
+            expect(Client._extract_guid(reply)).toBe('guid-1');
+        });
+
+        it('addresses replies to the peer that started the convo', async () => {
+            const { client, mockSocket } = connectedClient();
+
+            client.handle('ping', async () => ({ pong: true }));
+            mockSocket.mockServerSend(JSON.stringify({ action: 'ping', response_id: 'guid-1', sender: 'alice' }));
+            await sleep(5);
+
+            expect(mockSocket.popDecoded()).toEqual({ action: 'ping', response_id: 'guid-1', recipient: 'alice', pong: true });
+        });
+
+        it('leaves unhandled actions to subscribers', async () => {
+            const { client, mockSocket } = connectedClient();
+            const unregister = client.handle('ping', async () => ({ pong: true }));
+            const received = [];
+
+            unregister();
+            client.on('ping', msg => { received.push(msg); });
+            mockSocket.mockServerSend(JSON.stringify({ action: 'ping', response_id: 'guid-1' }));
+            await sleep(5);
+
+            expect(received).toEqual([{ action: 'ping', response_id: 'guid-1' }]);
+            expect(mockSocket.getAllDecodedSends()).toEqual([]);
+        });
+    });
+
+    describe('subscriptions', () => {
+        it('dispatches messages outside of convos to subscribers', async () => {
+            const mockSocket = new MockSocket();
+            const client = new Client({ url: 'whatever', socketFactory: () => mockSocket });
+
+            const byAction = [];
+            const byPredicate = [];
+            const unhandled = [];
+
+            const unsubscribe = client.on('room_broadcast', msg => { byAction.push(msg); });
+            client.subscribe(msg => msg.presence === true, msg => { byPredicate.push(msg); });
+            client.emitter.on('unhandledMessage', msg => unhandled.push(msg));
+
+            mockSocket.mockConnect();
+            mockSocket.mockServerSend(JSON.stringify({ action: 'room_broadcast', n: 1 }));
+            mockSocket.mockServerSend(JSON.stringify({ action: 'joined', presence: true }));
+            mockSocket.mockServerSend(JSON.stringify({ action: 'other', response_id: 'unknown' }));
+
+            unsubscribe();
+            mockSocket.mockServerSend(JSON.stringify({ action: 'room_broadcast', n: 2 }));
+
+            expect(byAction).toEqual([{ action: 'room_broadcast', n: 1 }]);
+            expect(byPredicate).toEqual([{ action: 'joined', presence: true }]);
+            expect(unhandled).toEqual([
+                { action: 'other', response_id: 'unknown' },
+                { action: 'room_broadcast', n: 2 },
+            ]);
+            expect(client.queues.size).toBe(0);
+        });
+
+        it('keeps convo replies away from subscribers', async () => {
+            const mockSocket = new MockSocket();
+            const client = new Client({ url: 'whatever', socketFactory: () => mockSocket });
+
+            const received = [];
+            client.on(() => true, msg => { received.push(msg); });
+
+            mockSocket.mockConnect();
+
+            await client.convo('foo', async (convo, guid) => {
+                mockSocket.mockServerSend(JSON.stringify({ action: 'foo', response_id: guid }));
+                expect(await convo.expect(10)).toEqual({ action: 'foo', response_id: guid });
+            });
+
+            expect(received).toEqual([]);
+        });
+    });
+
+    describe('connection state', () => {
+        it('transitions through the lifecycle', async () => {
+            const sockets = [];
+            const client = new Client({
+                url: 'whatever',
+                socketFactory: () => { const socket = new MockSocket(); sockets.push(socket); return socket; },
+                reconnect: { initialDelay: 5, jitter: 0 },
+            });
+
+            const changes = [];
+            client.emitter.on('stateChange', change => changes.push(change));
+
+            expect(client.state).toBe(ConnectionState.CONNECTING);
+
+            sockets[0].mockConnect();
+            sockets[0].mockDisconnect();
+            await sleep(10);
+            sockets[1].mockConnect();
+            await client.close();
+
+            expect(changes).toEqual([
+                { previous: 'connecting', next: 'open', cause: 'open' },
+                { previous: 'open', next: 'reconnecting', cause: 'close' },
+                { previous: 'reconnecting', next: 'open', cause: 'open' },
+                { previous: 'open', next: 'closing', cause: 'close-requested' },
+                { previous: 'closing', next: 'closed', cause: 'close-requested' },
+            ]);
+        });
+
+        it('waits for a state', async () => {
+            const mockSocket = new MockSocket();
+            const client = new Client({ url: 'whatever', socketFactory: () => mockSocket });
+
+            setTimeout(() => mockSocket.mockConnect(), 10);
+
+            expect(await client.waitForState(ConnectionState.OPEN, 50)).toEqual(
+                { previous: 'connecting', next: 'open', cause: 'open' }
+            );
+            expect(await client.waitForState(ConnectionState.OPEN, 50)).toBe(null);
+
+            await expectThrow(
+                client.waitForState(ConnectionState.CLOSED, 20),
+                { instanceOf: Utils.TimeboxTimeout },
+            );
+        });
+    });
+
+    describe('outbox', () => {
+        it('buffers while reconnecting and flushes in order', async () => {
+            const sockets = [];
+            const client = new Client({
+                url: 'whatever',
+                socketFactory: () => { const socket = new MockSocket(); sockets.push(socket); return socket; },
+                reconnect: { initialDelay: 5, jitter: 0 },
+                outbox: { enabled: true },
+            });
+
+            const sent = [client.send({n: 1})];
+
+            sockets[0].mockConnect();
+            sent.push(client.send({n: 2}));
+            sockets[0].mockDisconnect();
+            sent.push(client.send({n: 3}));
+            sent.push(client.send({n: 4}));
+
+            await sleep(10);
+
+            expect(client.outbox && client.outbox.size).toBe(2);
+            sockets[1].mockConnect();
+            await Promise.all(sent);
+
+            expect(sockets[0].getAllDecodedSends()).toEqual([{n: 1}, {n: 2}]);
+            expect(sockets[1].getAllDecodedSends()).toEqual([{n: 3}, {n: 4}]);
+        });
+
+        it('drops buffered messages when closed', async () => {
+            const mockSocket = new MockSocket();
+            const client = new Client({ url: 'whatever', socketFactory: () => mockSocket, outbox: { enabled: true } });
+
+            const promise = client.send({n: 1});
+            await client.close();
+
+            await expectThrow(promise, { instanceOf: OutboxError, matches: /closed/ });
+        });
+    });
+
+    describe('heartbeat', () => {
+        const heartbeat = { enabled: true, interval: 10, timeout: 15, maxMissed: 2 };
+
+        it('pings with an action on sockets without ping()', async () => {
+            const mockSocket = new MockSocket();
+            const client = new Client({ url: 'whatever', socketFactory: () => mockSocket, heartbeat });
+
+            mockSocket.mockConnect();
+            await sleep(15);
+
+            const ping: any = mockSocket.popDecoded();
+            expect(ping).toEqual({ action: 'ping', response_id: expect.any(String) });
+
+            const beat = client.wait('heartbeat', 50);
+            mockSocket.mockServerSend(JSON.stringify({ response_id: ping.response_id }));
+
+            expect(await beat).toEqual({ rtt: expect.any(Number) });
+            expect(client.rtt).toEqual(expect.any(Number));
+
+            await client.close();
+        });
+
+        it('uses native ping/pong when available', async () => {
+            class MockPingSocket extends MockSocket {
+                pongListener: ?() => void = null;
+
+                ping() {
+                    setTimeout(() => this.pongListener && this.pongListener(), 2);
+                }
+
+                on(event, fn) {
+                    this.pongListener = fn;
+                }
+
+                removeListener(event, fn) {
+                    this.pongListener = null;
+                }
+            }
+
+            const mockSocket = new MockPingSocket();
+            const client = new Client({ url: 'whatever', socketFactory: () => mockSocket, heartbeat });
+
+            mockSocket.mockConnect();
+
+            expect(await client.wait('heartbeat', 50)).toEqual({ rtt: expect.any(Number) });
+            expect(mockSocket.sends).toEqual([]);
+
+            await client.close();
+            expect(mockSocket.pongListener).toBe(null);
+        });
+
+        it('terminates and reconnects after missed heartbeats', async () => {
+            const sockets = [];
+            const client = new Client({
+                url: 'whatever',
+                socketFactory: () => { const socket = new MockSocket(); sockets.push(socket); return socket; },
+                heartbeat,
+                reconnect: { initialDelay: 5, jitter: 0 },
+            });
+
+            sockets[0].mockConnect();
+
+            expect(await client.waitForState(ConnectionState.RECONNECTING, 1000)).toEqual(
+                { previous: 'open', next: 'reconnecting', cause: 'close' }
+            );
+            expect(sockets[0].readyState).toBe(WebSocket.CLOSED);
+
+            // Well past the 5ms redial delay
+            await sleep(50);
+            expect(sockets.length).toBe(2);
+
+            await client.close();
+        });
+    });
+
+    describe('reconnection', () => {
+        const reconnect = { initialDelay: 5, maxDelay: 20, jitter: 0 };
+
+        it('redials a fresh url after the socket closes', async () => {
+            const sockets = [];
+            let urlCount = 0;
+
+            const client = new Client({
+                url: () => `url${++urlCount}`,
+                socketFactory: url => { const socket = new MockSocket(url); sockets.push(socket); return socket; },
+                reconnect,
+            });
+
+            const events = [];
+            client.emitter.on('reconnecting', data => events.push(['reconnecting', data]));
+            client.emitter.on('reconnected', data => events.push(['reconnected', data]));
+
+            sockets[0].mockConnect();
+            sockets[0].mockDisconnect();
+
+            expect(client.reconnecting).toBe(true);
+
+            await sleep(10);
+
+            expect(sockets.length).toBe(2);
+            expect(urlCount).toBe(2);
+
+            sockets[1].mockConnect();
+
+            expect(events).toEqual([
+                ['reconnecting', { attempt: 1, delay: 5 }],
+                ['reconnected', { attempts: 1 }],
+            ]);
+
+            await client.send({data: 'after'});
+            expect(sockets[1].getAllDecodedSends()).toEqual([{data: 'after'}]);
+        });
+
+        it('waits for the reconnection to send', async () => {
+            const sockets = [];
+            const client = new Client({
+                url: 'whatever',
+                socketFactory: () => { const socket = new MockSocket(); sockets.push(socket); return socket; },
+                reconnect,
+            });
+
+            sockets[0].mockConnect();
+            sockets[0].mockDisconnect();
+
+            const promise = client.send({data: 'queued'}, 50);
+
+            await sleep(10);
+            sockets[1].mockConnect();
+            await promise;
+
+            expect(sockets[1].getAllDecodedSends()).toEqual([{data: 'queued'}]);
+        });
+
+        it('gives up after max attempts', async () => {
+            const sockets = [];
+            const client = new Client({
+                url: 'whatever',
+                socketFactory: () => { const socket = new MockSocket(); sockets.push(socket); return socket; },
+                reconnect: { ...reconnect, maxAttempts: 2 },
+            });
+
+            const gaveUp = client.wait('gave-up', 200);
+
+            sockets[0].mockDisconnect();
+            await sleep(10);
+            sockets[1].mockDisconnect();
+            await sleep(20);
+            sockets[2].mockDisconnect();
+
+            expect(await gaveUp).toEqual({ attempts: 2 });
+            expect(sockets.length).toBe(3);
+            await expectThrow(client.send({data: 'nope'}), { matches: /closed/ });
+        });
+
+        it('does not reconnect after close()', async () => {
+            const sockets = [];
+            const client = new Client({
+                url: 'whatever',
+                socketFactory: () => { const socket = new MockSocket(); sockets.push(socket); return socket; },
+                reconnect,
+            });
+
+            sockets[0].mockConnect();
+            await client.close();
+            await sleep(10);
+
+            expect(client.reconnecting).toBe(false);
+            expect(sockets.length).toBe(1);
+        });
+
+        it('closes the socket of a redial in flight on close()', async () => {
+            const sockets = [];
+            const client = new Client({
+                url: 'whatever',
+                socketFactory: () => { const socket = new MockSocket(); sockets.push(socket); return socket; },
+                reconnect,
+            });
+
+            sockets[0].mockConnect();
+            sockets[0].mockDisconnect();
+            await sleep(10);
+
+            expect(sockets.length).toBe(2);
+            const closeSpy = jest.spyOn(sockets[1], 'close');
+
+            await client.close();
+
+            expect(closeSpy).toHaveBeenCalled();
+            expect(client.state).toBe(ConnectionState.CLOSED);
+
+            // Opening anyway changes nothing
+            sockets[1].mockConnect();
+            expect(client.state).toBe(ConnectionState.CLOSED);
+        });
+
+        it('gives up right away without attempts', async () => {
+            const sockets = [];
+            const client = new Client({
+                url: 'whatever',
+                socketFactory: () => { const socket = new MockSocket(); sockets.push(socket); return socket; },
+                reconnect: { ...reconnect, maxAttempts: 0 },
+            });
+
+            const gaveUp = client.wait('gave-up', 50);
+
+            sockets[0].mockConnect();
+            sockets[0].mockDisconnect();
+
+            expect(await gaveUp).toEqual({ attempts: 0 });
+            expect(client.state).toBe(ConnectionState.FAILED);
+            expect(sockets.length).toBe(1);
+        });
+    });
 });
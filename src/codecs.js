@@ -0,0 +1,120 @@
+// @flow
+import * as MessagePack from '@msgpack/msgpack';
+import * as Cbor from 'cbor-x';
+
+import type { CompressionAlgorithm } from './compression';
+
+// What arrives in or goes out as a WebSocket message, binary frames come in as
+// Buffers from Node `ws` and as ArrayBuffers from browser sockets.
+export type Frame = string | ArrayBuffer | Uint8Array;
+
+export type Codec = {|
+    name: string,
+    // Offered to the server as the WebSocket subprotocol
+    protocol: string,
+    // Whether frames are sent as binary rather than text messages
+    binary: boolean,
+    encode: (Object) => string | Uint8Array,
+    decode: (Frame) => any,
+|};
+
+// Browsers have TextEncoder/TextDecoder, older Node versions only Buffer
+export function utf8Encode(text: string) : Uint8Array {
+    return typeof TextEncoder !== 'undefined' ? new TextEncoder().encode(text) : Buffer.from(text, 'utf8');
+}
+
+export function utf8Decode(bytes: Uint8Array) : string {
+    return typeof TextDecoder !== 'undefined'
+        ? new TextDecoder().decode(bytes)
+        : Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('utf8');
+}
+
+export function toBytes(frame: Frame) : Uint8Array {
+    if (typeof frame === 'string') {
+        return utf8Encode(frame);
+    }
+
+    return frame instanceof Uint8Array ? frame : new Uint8Array(frame);
+}
+
+export const JsonCodec: Codec = {
+    name: 'json',
+    protocol: 'web-switch.json',
+    binary: false,
+    encode: data => JSON.stringify(data),
+    decode: frame => JSON.parse(typeof frame === 'string' ? frame : utf8Decode(toBytes(frame))),
+};
+
+export const MessagePackCodec: Codec = {
+    name: 'msgpack',
+    protocol: 'web-switch.msgpack',
+    binary: true,
+    encode: data => MessagePack.encode(data),
+    decode: frame => MessagePack.decode(toBytes(frame)),
+};
+
+export const CborCodec: Codec = {
+    name: 'cbor',
+    protocol: 'web-switch.cbor',
+    binary: true,
+    encode: data => Cbor.encode(data),
+    decode: frame => Cbor.decode(toBytes(frame)),
+};
+
+export const CODECS: { [string]: Codec } = {
+    json: JsonCodec,
+    msgpack: MessagePackCodec,
+    cbor: CborCodec,
+};
+
+// Codecs can be given by name or as Codec objects for custom formats
+export function resolveCodec(codec: string | Codec) : Codec {
+    if (typeof codec !== 'string') {
+        return codec;
+    }
+
+    if (!CODECS[codec]) {
+        throw new Error(`Unknown codec "${codec}", expecting one of ${Object.keys(CODECS).join(', ')}`);
+    }
+
+    return CODECS[codec];
+}
+
+// Subprotocols to offer for `codecs` in order of preference, with app-level
+// compression as a `+algorithm` suffix preferred over none. Nothing is offered when
+// only uncompressed JSON is used, servers predating negotiation would refuse the connection.
+export function offeredProtocols(codecs: Array<Codec>, compression: ?CompressionAlgorithm = null) : Array<string> {
+    if (codecs.length === 1 && codecs[0] === JsonCodec && !compression) {
+        return [];
+    }
+
+    const protocols = codecs.map(codec => codec.protocol);
+
+    if (!compression) {
+        return protocols;
+    }
+
+    const suffix = compression;
+
+    return [...protocols.map(protocol => `${protocol}+${suffix}`), ...protocols];
+}
+
+// The codec for the subprotocol the server picked, servers that pick none speak JSON
+export function negotiatedCodec(protocol: ?string, codecs: Array<Codec>) : ?Codec {
+    if (!protocol) {
+        return JsonCodec;
+    }
+
+    const [base] = protocol.split('+');
+
+    return codecs.find(codec => codec.protocol === base) || null;
+}
+
+// The compression suffix of the subprotocol the server picked, if any
+export function negotiatedCompression(protocol: ?string) : ?string {
+    return (protocol || '').split('+')[1] || null;
+}
+
+export function frameSize(frame: Frame) : number {
+    return typeof frame === 'string' ? frame.length : frame.byteLength;
+}
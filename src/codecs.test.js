@@ -0,0 +1,71 @@
+// @flow
+import { CborCodec, JsonCodec, MessagePackCodec, negotiatedCodec, offeredProtocols, resolveCodec } from './codecs';
+import { createClient } from './test_helpers';
+
+describe('codecs', () => {
+    const message = { action: 'telemetry', response_id: 'guid', values: [1, 2.5, -3], nested: { ok: true } };
+
+    [JsonCodec, MessagePackCodec, CborCodec].forEach(codec => {
+        it(`round trips ${codec.name}`, () => {
+            const frame = codec.encode(message);
+
+            expect(typeof frame === 'string').toBe(!codec.binary);
+            expect(codec.decode(frame)).toEqual(message);
+
+            if (typeof frame !== 'string') {
+                // As delivered to browser sockets
+                const copy = frame.buffer.slice(frame.byteOffset, frame.byteOffset + frame.byteLength);
+                expect(codec.decode(copy)).toEqual(message);
+            }
+        });
+    });
+
+    it('resolves codecs by name', () => {
+        expect(resolveCodec('msgpack')).toBe(MessagePackCodec);
+        expect(resolveCodec(CborCodec)).toBe(CborCodec);
+        expect(() => resolveCodec('xml')).toThrow(/Unknown codec "xml"/);
+    });
+
+    it('offers subprotocols unless only JSON is used', () => {
+        expect(offeredProtocols([JsonCodec])).toEqual([]);
+        expect(offeredProtocols([CborCodec, JsonCodec])).toEqual(['web-switch.cbor', 'web-switch.json']);
+    });
+
+    it('falls back to JSON when the server picks no subprotocol', () => {
+        expect(negotiatedCodec('', [CborCodec])).toBe(JsonCodec);
+        expect(negotiatedCodec('web-switch.cbor', [CborCodec])).toBe(CborCodec);
+        expect(negotiatedCodec('web-switch.bson', [CborCodec])).toBe(null);
+    });
+});
+
+describe('Client codecs', () => {
+    it('speaks the negotiated codec', async () => {
+        const { client, socket } = createClient({ codecs: ['msgpack', 'json'] }, false);
+
+        expect(socket.protocols).toEqual(['web-switch.msgpack', 'web-switch.json']);
+        expect(socket.binaryType).toBe('arraybuffer');
+
+        socket.mockConnect(['web-switch.json', 'web-switch.msgpack']);
+        expect(client.codec).toBe(MessagePackCodec);
+
+        const promise = client.request('sum', { values: [1, 2] }, { timeout: 100 });
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        const sent: any = MessagePackCodec.decode((socket.sends[0]: any));
+        expect(sent).toMatchObject({ action: 'sum', values: [1, 2] });
+
+        socket.mockServerSend(MessagePackCodec.encode({ response_id: sent.response_id, sum: 3 }));
+        expect(await promise).toEqual({ response_id: sent.response_id, sum: 3 });
+    });
+
+    it('keeps sending JSON text by default', async () => {
+        const { client, socket } = createClient({}, false);
+
+        expect(socket.protocols).toEqual([]);
+
+        socket.mockConnect([]);
+        await client.send({ action: 'hello' });
+
+        expect(socket.sends).toEqual(['{"action":"hello"}']);
+    });
+});
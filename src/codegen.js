@@ -0,0 +1,244 @@
+// @flow
+import _ from 'lodash';
+
+// Describes the actions of a server, the schemas double as validation schemas
+// (see ActionSchemas)
+export type ActionManifestEntry = {
+    request?: ?Object,
+    response?: ?Object,
+    description?: string,
+    // Overrides the generated method and type names
+    method?: string,
+    typeName?: string,
+};
+
+export type ActionManifest = {
+    actions: { [action: string]: ActionManifestEntry },
+};
+
+export type Language = 'flow' | 'typescript';
+
+export type GenerateOptions = {
+    language?: Language,
+    // Where the generated module imports Client from
+    clientModule?: string,
+    // Mentioned in the header of the generated module
+    source?: ?string,
+};
+
+const INDENT = '    ';
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+// Words of an action name, `list_members` and `listMembers` both give list, members
+function words(name: string) : Array<string> {
+    return name
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(word => word.length);
+}
+
+export function methodName(action: string) : string {
+    return words(action)
+        .map((word, i) => i === 0 ? word.toLowerCase() : _.upperFirst(word.toLowerCase()))
+        .join('');
+}
+
+export function typeName(action: string) : string {
+    return words(action).map(word => _.upperFirst(word)).join('');
+}
+
+function literal(value: mixed) : string {
+    if (typeof value === 'string') {
+        // Escaped like JSON but single quoted
+        return `'${JSON.stringify(value).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'")}'`;
+    }
+
+    return JSON.stringify(value) || 'undefined';
+}
+
+// Line comment for `text`, which is collapsed to one line so it cannot end the comment early
+function comment(text: string, indent: string) : string {
+    return `${indent}// ${text.replace(/\s+/g, ' ').trim()}\n`;
+}
+
+function propertyKey(key: string) : string {
+    return IDENTIFIER.test(key) ? key : JSON.stringify(key);
+}
+
+// Type expression for `schema`, as far as JSON Schema can be expressed in the
+// language. Anything unsupported (e.g. $ref) becomes the language's top type.
+export function schemaToType(schema: ?Object, language: Language, depth: number = 0) : string {
+    const unknown = language === 'flow' ? 'mixed' : 'unknown';
+
+    if (!schema || schema === true) {
+        return unknown;
+    }
+
+    const union = (schemas: Array<Object>) => schemas.map(s => schemaToType(s, language, depth)).join(' | ');
+
+    if ('const' in schema) {
+        return literal(schema.const);
+    }
+
+    if (Array.isArray(schema.enum)) {
+        return schema.enum.map(literal).join(' | ');
+    }
+
+    if (Array.isArray(schema.oneOf) || Array.isArray(schema.anyOf)) {
+        return union(schema.oneOf || schema.anyOf);
+    }
+
+    if (Array.isArray(schema.type)) {
+        return union(schema.type.map(type => ({ ...schema, type })));
+    }
+
+    switch (schema.type) {
+        case 'string':
+            return 'string';
+
+        case 'number':
+        case 'integer':
+            return 'number';
+
+        case 'boolean':
+            return 'boolean';
+
+        case 'null':
+            return 'null';
+
+        case 'array':
+            return `Array<${schemaToType(schema.items, language, depth)}>`;
+
+        case 'object':
+            return objectType(schema, language, depth);
+
+        default:
+            return schema.properties ? objectType(schema, language, depth) : unknown;
+    }
+}
+
+function objectType(schema: Object, language: Language, depth: number) : string {
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    const exact = language === 'flow' && schema.additionalProperties === false;
+    const [open, close] = exact ? ['{|', '|}'] : ['{', '}'];
+    const separator = language === 'flow' ? ',' : ';';
+    const keys = Object.keys(properties);
+
+    if (!keys.length) {
+        if (schema.additionalProperties === false) {
+            return `${open}${close}`;
+        }
+
+        return language === 'flow' ? '{ [string]: mixed }' : 'Record<string, unknown>';
+    }
+
+    const indent = INDENT.repeat(depth + 1);
+    const lines = keys.map(key => {
+        const optional = required.includes(key) ? '' : '?';
+        const description = properties[key] && typeof properties[key].description === 'string'
+            ? comment(properties[key].description, indent)
+            : '';
+
+        return `${description}${indent}${propertyKey(key)}${optional}: ${schemaToType(properties[key], language, depth + 1)}${separator}`;
+    });
+
+    return `${open}\n${lines.join('\n')}\n${INDENT.repeat(depth)}${close}`;
+}
+
+function hasRequired(schema: ?Object) : boolean {
+    return !!schema && Array.isArray(schema.required) && schema.required.length > 0;
+}
+
+// Throws on manifests that would generate broken code
+export function validateManifest(manifest: mixed) {
+    if (!manifest || typeof manifest !== 'object' || !manifest.actions || typeof manifest.actions !== 'object') {
+        throw new Error('Manifest must be an object with an `actions` object');
+    }
+
+    const actions: Object = manifest.actions;
+    const methods = new Map();
+
+    Object.keys(actions).forEach(action => {
+        const entry = actions[action] || {};
+        const method = entry.method || methodName(action);
+
+        if (!IDENTIFIER.test(method)) {
+            throw new Error(`Action "${action}" gives the invalid method name "${method}", set \`method\``);
+        }
+
+        if (methods.has(method)) {
+            throw new Error(`Actions "${String(methods.get(method))}" and "${action}" both generate ${method}()`);
+        }
+
+        methods.set(method, action);
+    });
+}
+
+// Source of a module exporting request/reply types, the schemas and an Api
+// class with one method per action, each a Client.request() call.
+export function generate(manifest: ActionManifest, options: GenerateOptions = {}) : string {
+    const { language = 'flow', clientModule = 'web-switch-client', source = null } = options;
+    const flow = language === 'flow';
+    const actions = Object.keys(manifest.actions);
+
+    validateManifest(manifest);
+
+    const schemas = {};
+    actions.forEach(action => {
+        const { request, response } = manifest.actions[action];
+        schemas[action] = _.pickBy({ request, response }, schema => !!schema);
+    });
+
+    const types = [];
+    const methods = [];
+
+    actions.forEach(action => {
+        const entry = manifest.actions[action];
+        const name = entry.typeName || typeName(action);
+        const requestType = `${name}Request`;
+        const replyType = `${name}Reply`;
+        // Optional rather than defaulting to {}, which Flow refuses for exact types
+        const payloadOptional = hasRequired(entry.request) ? '' : '?';
+        const payload = hasRequired(entry.request) ? 'payload' : 'payload || {}';
+        const options = flow ? 'options?: RequestOptions' : 'options: RequestOptions = {}';
+        const description = entry.description ? comment(entry.description, INDENT) : '';
+
+        types.push(`export type ${requestType} = ${schemaToType(entry.request || { type: 'object' }, language)};`);
+        types.push(`export type ${replyType} = ${schemaToType(entry.response || { type: 'object' }, language)};`);
+
+        const cast = flow
+            ? `(this.client.request(${literal(action)}, ${payload}, options): any)`
+            : `this.client.request(${literal(action)}, ${payload}, options) as Promise<${replyType}>`;
+
+        methods.push([
+            `${description}${INDENT}${entry.method || methodName(action)}(payload${payloadOptional}: ${requestType}, ${options}) : Promise<${replyType}> {`,
+            `${INDENT}${INDENT}return ${cast};`,
+            `${INDENT}}`,
+        ].join('\n'));
+    });
+
+    const header = [
+        ...(flow ? ['// @flow'] : []),
+        `// Generated from ${source || 'an action manifest'} by web-switch-client codegen, do not edit.`,
+        flow
+            ? `import type Client, { RequestOptions } from ${literal(clientModule)};`
+            : `import Client, { RequestOptions } from ${literal(clientModule)};`,
+    ];
+
+    const api = [
+        `// Pass SCHEMAS as the client's \`validation.schemas\` option to check payloads at runtime`,
+        `export const SCHEMAS = ${JSON.stringify(schemas, null, 4)};`,
+        '',
+        'export default class Api {',
+        `${INDENT}client: Client;`,
+        '',
+        `${INDENT}constructor(client: Client) {`,
+        `${INDENT}${INDENT}this.client = client;`,
+        `${INDENT}}`,
+        ...methods.map(method => `\n${method}`),
+        '}',
+    ];
+
+    return [header.join('\n'), types.join('\n\n'), api.join('\n')].join('\n\n') + '\n';
+}
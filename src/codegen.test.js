@@ -0,0 +1,175 @@
+// @flow
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { generate, methodName, schemaToType, typeName } from './codegen';
+import { parseArguments } from './codegen_cli';
+
+const manifest = {
+    actions: {
+        whoami: {
+            description: 'Our own member',
+            response: {
+                type: 'object',
+                required: ['member'],
+                properties: { member: { type: 'object', properties: { id: { type: 'string' } } } },
+            },
+        },
+        move: {
+            request: {
+                type: 'object',
+                required: ['x'],
+                additionalProperties: false,
+                properties: { x: { type: 'number' }, mode: { enum: ['walk', 'run'] } },
+            },
+        },
+        list_members: {
+            description: 'Members of the room,\nnewest first */ export const oops = 1;',
+            request: {
+                type: 'object',
+                additionalProperties: false,
+                properties: { filter: { type: 'string', description: 'Name prefix\nexport const oops = 2;' } },
+            },
+            response: {
+                type: 'object',
+                required: ['members'],
+                properties: { members: { type: 'array', items: { type: 'string' } } },
+            },
+        },
+    },
+};
+
+describe('codegen', () => {
+    it('derives names from actions', () => {
+        expect(methodName('list_members')).toBe('listMembers');
+        expect(methodName('memberJoined')).toBe('memberJoined');
+        expect(typeName('list-members')).toBe('ListMembers');
+        expect(typeName('whoami')).toBe('Whoami');
+    });
+
+    it('converts schemas to types', () => {
+        expect(schemaToType({ type: 'array', items: { type: ['integer', 'null'] } }, 'flow')).toBe('Array<number | null>');
+        expect(schemaToType({ enum: ['a', "it's"] }, 'typescript')).toBe("'a' | 'it\\'s'");
+        expect(schemaToType({ $ref: '#/definitions/thing' }, 'flow')).toBe('mixed');
+        expect(schemaToType({ $ref: '#/definitions/thing' }, 'typescript')).toBe('unknown');
+        expect(schemaToType(manifest.actions.move.request, 'flow')).toBe([
+            '{|',
+            '    x: number,',
+            "    mode?: 'walk' | 'run',",
+            '|}',
+        ].join('\n'));
+        expect(schemaToType(manifest.actions.move.request, 'typescript')).toBe([
+            '{',
+            '    x: number;',
+            "    mode?: 'walk' | 'run';",
+            '}',
+        ].join('\n'));
+    });
+
+    it('generates a Flow api', () => {
+        const source = generate(manifest, { source: 'actions.json' });
+
+        expect(source).toMatch(/^\/\/ @flow\n\/\/ Generated from actions\.json/);
+        expect(source).toContain("import type Client, { RequestOptions } from 'web-switch-client';");
+        expect(source).toContain('export type WhoamiReply = {\n    member: {\n        id?: string,\n    },\n};');
+        expect(source).toContain([
+            '    // Our own member',
+            '    whoami(payload?: WhoamiRequest, options?: RequestOptions) : Promise<WhoamiReply> {',
+            "        return (this.client.request('whoami', payload || {}, options): any);",
+            '    }',
+        ].join('\n'));
+        expect(source).toContain('    move(payload: MoveRequest, options?: RequestOptions) : Promise<MoveReply> {');
+        expect(source).toContain('"move": {\n        "request": {');
+    });
+
+    it('keeps descriptions on one comment line', () => {
+        const source = generate(manifest);
+
+        expect(source).toContain('    // Members of the room, newest first */ export const oops = 1;\n');
+        expect(source).toContain('    // Name prefix export const oops = 2;\n');
+        expect(source).not.toMatch(/^\s*export const oops/m);
+    });
+
+    it('generates a Flow api that type checks', () => {
+        // Checked as a project of its own, which only takes in the client's sources
+        const root = path.join(__dirname, '..');
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codegen-check-'));
+        const clientModule = path.join(root, 'src', 'client');
+        const api = generate(manifest, { clientModule });
+
+        fs.writeFileSync(path.join(dir, '.flowconfig'), [
+            '[ignore]',
+            `${root}/node_modules/cbor-x/.*`,
+            '',
+            '[include]',
+            `${root}/src`,
+            `${root}/node_modules`,
+            '',
+            '[libs]',
+            `${root}/flow-typed/`,
+            '',
+        ].join('\n'));
+        fs.writeFileSync(path.join(dir, 'api.js'), api);
+        fs.writeFileSync(path.join(dir, 'usage.js'), [
+            '// @flow',
+            `import Client from '${clientModule}';`,
+            "import Api from './api';",
+            '',
+            "const api = new Api(new Client({ url: 'ws://host', autoConnect: false }));",
+            '',
+            "api.listMembers().then(reply => reply.members.map(name => name.toUpperCase()));",
+            "api.listMembers({ filter: 'a' });",
+            "api.move({ x: 1, mode: 'run' });",
+            '',
+        ].join('\n'));
+
+        try {
+            let output: string;
+
+            try {
+                output = String(execFileSync(require('flow-bin'), ['check', dir], { timeout: 120000 }));
+            }
+            catch (e) {
+                // The errors found
+                output = String(e.stdout);
+            }
+
+            expect(output).toContain('Found 0 errors');
+        }
+        finally {
+            fs.unlinkSync(path.join(dir, '.flowconfig'));
+            fs.unlinkSync(path.join(dir, 'api.js'));
+            fs.unlinkSync(path.join(dir, 'usage.js'));
+            fs.rmdirSync(dir);
+        }
+    }, 150000);
+
+    it('generates a TypeScript api', () => {
+        const source = generate(manifest, { language: 'typescript', clientModule: '../client' });
+
+        expect(source).not.toContain('@flow');
+        expect(source).toContain("import Client, { RequestOptions } from '../client';");
+        expect(source).toContain("return this.client.request('move', payload, options) as Promise<MoveReply>;");
+        expect(source).toContain('export type MoveReply = Record<string, unknown>;');
+    });
+
+    it('refuses actions that clash or make no identifier', () => {
+        expect(() => generate({ actions: { list_members: {}, listMembers: {} } }))
+            .toThrow('Actions "list_members" and "listMembers" both generate listMembers()');
+        expect(() => generate({ actions: { '2fa': {} } })).toThrow(/invalid method name "2fa"/);
+        expect(generate({ actions: { '2fa': { method: 'twoFactor' } } })).toContain('twoFactor(');
+    });
+
+    it('parses command line arguments', () => {
+        expect(parseArguments(['api.json', '--lang', 'ts', '--out', 'api.ts'])).toEqual({
+            manifest: 'api.json',
+            language: 'typescript',
+            clientModule: 'web-switch-client',
+            out: 'api.ts',
+        });
+        expect(() => parseArguments(['--lang', 'flow'])).toThrow('No manifest given');
+        expect(() => parseArguments(['api.json', '--lang', 'go'])).toThrow('Unknown language "go"');
+    });
+});
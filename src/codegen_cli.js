@@ -0,0 +1,95 @@
+// @flow
+import fs from 'fs';
+import path from 'path';
+
+import { generate } from './codegen';
+import type { Language } from './codegen';
+
+const USAGE = `Usage: codegen <manifest.json> [--lang flow|typescript] [--client-module <module>] [--out <file>]
+
+Generates typed wrappers for the actions of <manifest.json>, printed unless --out is given.`;
+
+type Arguments = {|
+    manifest: string,
+    language: Language,
+    clientModule: string,
+    out: ?string,
+|};
+
+export function parseArguments(argv: Array<string>) : Arguments {
+    const args: Object = { manifest: null, language: 'flow', clientModule: 'web-switch-client', out: null };
+    const flags = { '--lang': 'language', '--client-module': 'clientModule', '--out': 'out' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg in flags) {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+
+            args[flags[arg]] = argv[++i];
+        }
+        else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        }
+        else if (!args.manifest) {
+            args.manifest = arg;
+        }
+        else {
+            throw new Error(`Unexpected argument ${arg}`);
+        }
+    }
+
+    if (args.language === 'ts') {
+        args.language = 'typescript';
+    }
+
+    if (!args.manifest) {
+        throw new Error('No manifest given');
+    }
+
+    if (args.language !== 'flow' && args.language !== 'typescript') {
+        throw new Error(`Unknown language "${args.language}"`);
+    }
+
+    return args;
+}
+
+function main(argv: Array<string>) : number {
+    let args: Arguments;
+
+    try {
+        args = parseArguments(argv);
+    }
+    catch (e) {
+        console.error(`${e.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(args.manifest, 'utf8'));
+    const source = generate(manifest, {
+        language: args.language,
+        clientModule: args.clientModule,
+        source: path.basename(args.manifest),
+    });
+
+    if (args.out) {
+        fs.writeFileSync(args.out, source);
+    }
+    else {
+        process.stdout.write(source);
+    }
+
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    }
+    catch (e) {
+        console.error(String(e));
+        process.exitCode = 1;
+    }
+}
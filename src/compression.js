@@ -0,0 +1,73 @@
+// @flow
+import pako from 'pako';
+
+import { toBytes, utf8Decode } from './codecs';
+import type { Frame } from './codecs';
+
+export type CompressionAlgorithm = 'deflate' | 'gzip';
+
+export type CompressionOptions = {|
+    // Passed on to the Node `ws` socket, ignored for injected sockets
+    perMessageDeflate: boolean | Object,
+    // Application-level compression, offered as a `+deflate`/`+gzip` suffix on
+    // the codec subprotocols and used only if the server picks it
+    algorithm: ?CompressionAlgorithm,
+    // Frames smaller than this many bytes are not worth compressing
+    threshold: number,
+|};
+
+// Once app-level compression is agreed on, every binary frame starts with one
+// of these flags. Text frames are left as they are.
+const FLAG_PLAIN = 0;
+const FLAG_TEXT = 1;
+const FLAG_BINARY = 2;
+
+const ALGORITHMS = {
+    deflate: { compress: data => pako.deflate(data), decompress: data => pako.inflate(data) },
+    gzip: { compress: data => pako.gzip(data), decompress: data => pako.ungzip(data) },
+};
+
+function prefixed(flag: number, bytes: Uint8Array) : Uint8Array {
+    const frame = new Uint8Array(bytes.length + 1);
+
+    frame[0] = flag;
+    frame.set(bytes, 1);
+
+    return frame;
+}
+
+export function isCompressionAlgorithm(name: mixed) : boolean {
+    return typeof name === 'string' && name in ALGORITHMS;
+}
+
+export function compressFrame(frame: Frame, algorithm: CompressionAlgorithm, threshold: number) : Frame {
+    const bytes = toBytes(frame);
+
+    if (bytes.length < threshold) {
+        return typeof frame === 'string' ? frame : prefixed(FLAG_PLAIN, bytes);
+    }
+
+    return prefixed(typeof frame === 'string' ? FLAG_TEXT : FLAG_BINARY, ALGORITHMS[algorithm].compress(bytes));
+}
+
+export function decompressFrame(frame: Frame, algorithm: CompressionAlgorithm) : Frame {
+    if (typeof frame === 'string') {
+        return frame;
+    }
+
+    const bytes = toBytes(frame);
+
+    switch (bytes[0]) {
+        case FLAG_PLAIN:
+            return bytes.subarray(1);
+
+        case FLAG_TEXT:
+            return utf8Decode(ALGORITHMS[algorithm].decompress(bytes.subarray(1)));
+
+        case FLAG_BINARY:
+            return ALGORITHMS[algorithm].decompress(bytes.subarray(1));
+
+        default:
+            throw new Error(`Unknown compression flag ${bytes[0]}`);
+    }
+}
@@ -0,0 +1,96 @@
+// @flow
+import WebSocket from 'ws';
+import Client from './client';
+import { JsonCodec, MessagePackCodec, negotiatedCompression, offeredProtocols } from './codecs';
+import { compressFrame, decompressFrame } from './compression';
+import { createClient } from './test_helpers';
+
+// Room snapshots are large and repetitive
+const snapshot = { action: 'snapshot', members: new Array(200).fill({ name: 'somebody', status: 'online' }) };
+
+describe('compressFrame', () => {
+    it('round trips large text and binary frames', () => {
+        const text = JSON.stringify(snapshot);
+        const compressed: any = compressFrame(text, 'deflate', 100);
+
+        expect(compressed[0]).toBe(1);
+        expect(compressed.length).toBeLessThan(text.length / 10);
+        expect(decompressFrame(compressed, 'deflate')).toBe(text);
+
+        const bytes = MessagePackCodec.encode(snapshot);
+        const gzipped = compressFrame(bytes, 'gzip', 100);
+
+        expect(Array.from((decompressFrame(gzipped, 'gzip'): any))).toEqual(Array.from((bytes: any)));
+    });
+
+    it('leaves small frames uncompressed', () => {
+        expect(compressFrame('{"a":1}', 'deflate', 100)).toBe('{"a":1}');
+
+        const flagged: any = compressFrame(new Uint8Array([7, 8]), 'deflate', 100);
+
+        expect(Array.from(flagged)).toEqual([0, 7, 8]);
+        expect(Array.from((decompressFrame(flagged, 'deflate'): any))).toEqual([7, 8]);
+    });
+
+    it('prefers compressed subprotocols', () => {
+        expect(offeredProtocols([JsonCodec], 'gzip')).toEqual(['web-switch.json+gzip', 'web-switch.json']);
+        expect(negotiatedCompression('web-switch.json+gzip')).toBe('gzip');
+        expect(negotiatedCompression('web-switch.json')).toBe(null);
+    });
+});
+
+describe('Client compression', () => {
+    it('compresses once the server agrees', async () => {
+        const { client, socket } = createClient({ compression: { algorithm: 'deflate', threshold: 512 } }, false);
+
+        socket.mockConnect('web-switch.json+deflate');
+        expect(client.compression).toBe('deflate');
+
+        await client.send(snapshot);
+        await client.send({ action: 'small' });
+
+        expect(socket.sends[0]).toBeInstanceOf(Uint8Array);
+        expect(JSON.parse((decompressFrame(socket.sends[0], 'deflate'): any))).toEqual(snapshot);
+        expect(socket.sends[1]).toBe('{"action":"small"}');
+
+        const received = [];
+        client.on('snapshot', msg => { received.push(msg); });
+        socket.mockServerSend(Buffer.from(compressFrame(JSON.stringify(snapshot), 'deflate', 0)));
+
+        expect(received).toEqual([snapshot]);
+    });
+
+    it('sends plain frames when the server does not', async () => {
+        const { client, socket } = createClient({ compression: { algorithm: 'deflate', threshold: 512 } }, false);
+
+        socket.mockConnect('web-switch.json');
+        await client.send(snapshot);
+
+        expect(client.compression).toBe(null);
+        expect(socket.sends[0]).toBe(JSON.stringify(snapshot));
+    });
+
+    it('hands permessage-deflate to the socket', async () => {
+        const offered = async (compression: Object) => {
+            const server = new WebSocket.Server({ port: 0 });
+            const request = new Promise(resolve => server.on('connection', (ws, req) => { resolve(req); }));
+            const client = new Client({ url: `ws://127.0.0.1:${server.address().port}`, compression });
+
+            try {
+                await client.connect();
+                return (await request).headers['sec-websocket-extensions'] || '';
+            }
+            finally {
+                await client.close();
+                await new Promise(resolve => server.close(resolve));
+            }
+        };
+
+        expect(await offered({})).toMatch(/permessage-deflate/);
+        expect(await offered({ perMessageDeflate: false })).toBe('');
+    });
+
+    it('rejects unknown algorithms', () => {
+        expect(() => createClient({ compression: { algorithm: 'zip' } }, false)).toThrow(/Unknown compression algorithm "zip"/);
+    });
+});
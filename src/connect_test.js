@@ -1,18 +1,21 @@
 // @flow
 import Client from './client';
+import { consoleLogger } from './logger';
 import * as Utils from './utils';
 
 
 const URL = 'ws://localhost:8765';
 
 async function foo() {
-    const client = new Client(URL + '/somechannel/someroom/');
-
-    await client.convo('whoami', async (convo, guid) => {
-        const data = await convo.sendAndExpect({action: 'whoami'});
-        console.log('Reply:', data);
+    const client = new Client({
+        url: URL + '/somechannel/someroom/',
+        logger: consoleLogger,
+        logLevel: 'debug',
     });
 
+    const data = await client.request('whoami');
+    console.log('Reply:', data);
+
     await client.close();
 }
 
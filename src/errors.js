@@ -0,0 +1,93 @@
+// @flow
+import _ from 'lodash';
+
+// Exception for error frames sent back by the server, keeps the original frame
+// around as `payload` for callers that need more than the code and message.
+export class ServerError {
+  code: ?string;
+  message: string;
+  payload: Object;
+
+  constructor(code: ?string, message: string, payload: Object) {
+    this.code = code;
+    this.message = message;
+    this.payload = payload;
+  }
+
+  // Error frames are recognised by their `error_data` object, which is also
+  // where they carry the `response_id` of the convo they belong to.
+  static isErrorPayload(obj: mixed) : boolean {
+    return !!obj && typeof obj === 'object' && !!obj.error_data && typeof obj.error_data === 'object';
+  }
+
+  static fromPayload(obj: Object) : ServerError {
+    const code = _.get(obj, 'error_data.code', null) || _.get(obj, 'error_type', null);
+    const message = _.get(obj, 'error', null) || _.get(obj, 'error_data.message', null) || 'Unknown server error';
+
+    return new ServerError(code, String(message), obj);
+  }
+
+  // Error frame replying to the convo `responseId` with whatever was thrown
+  static toPayload(error: mixed, responseId: string) : Object {
+    const code = error instanceof ServerError ? error.code : _.get(error, 'code', null);
+    const message = _.get(error, 'message', null) || String(error);
+
+    return {
+      error: message,
+      error_data: { code: typeof code === 'string' ? code : 'handler_error', message, response_id: responseId },
+    };
+  }
+
+  toString() : string {
+    return this.code
+      ? `Server error [${this.code}]: ${this.message}`
+      : `Server error: ${this.message}`;
+  }
+}
+
+// Exception for broadcast requests that gathered fewer replies than required,
+// keeps what was gathered as `result`.
+export class InsufficientResponses {
+  required: number;
+  result: Object;
+
+  constructor(required: number, result: Object) {
+    this.required = required;
+    this.result = result;
+  }
+
+  toString() : string {
+    return `Got ${this.result.responses.size} of ${this.required} required responses`;
+  }
+}
+
+export type ValidationDirection = 'request' | 'response';
+
+// Exception for payloads that do not match the schema of their action, `path`
+// points at the first offending value like `/members/0/id`.
+export class ValidationError {
+  code: string;
+  action: string;
+  direction: ValidationDirection;
+  path: string;
+  message: string;
+  // Every problem found, as reported by the validator
+  errors: Array<Object>;
+
+  constructor(action: string, direction: ValidationDirection, errors: Array<Object>) {
+    const [first = {}] = errors;
+    // Point at the property itself rather than the object missing or having it
+    const property = _.get(first, 'params.missingProperty', null) || _.get(first, 'params.additionalProperty', null);
+
+    this.code = 'validation_error';
+    this.action = action;
+    this.direction = direction;
+    this.path = (first.instancePath || '') + (property ? `/${property}` : '') || '/';
+    this.message = first.message || 'is invalid';
+    this.errors = errors;
+  }
+
+  toString() : string {
+    return `Invalid ${this.direction} for "${this.action}" at ${this.path}: ${this.message}`;
+  }
+}
@@ -0,0 +1,37 @@
+// @flow
+import Client from './client';
+import { mergeOptions, validateOptions } from './options';
+import type { ClientOptionsInput } from './options';
+
+// Creates clients sharing a set of default options, so that configuration
+// such as timeouts or the socket factory lives in one spot.
+export default class ClientFactory {
+    defaults: ClientOptionsInput;
+
+    constructor(defaults: ClientOptionsInput = {}) {
+        validateOptions(defaults);
+        this.defaults = defaults;
+    }
+
+    create(options: ClientOptionsInput = {}) : Client {
+        return new Client(mergeOptions(this.defaults, options));
+    }
+
+    // Creates a client for `room` of `channel` on the server at `baseUrl`
+    room(baseUrl: string, channel: string, room: string, options: ClientOptionsInput = {}) : Client {
+        return this.create({ ...options, location: { baseUrl, channel, room } });
+    }
+
+    static room(baseUrl: string, channel: string, room: string, options: ClientOptionsInput = {}) : Client {
+        return new ClientFactory().room(baseUrl, channel, room, options);
+    }
+
+    // Creates a client and resolves once it is open
+    async connect(options: ClientOptionsInput = {}) : Promise<Client> {
+        const client = this.create({ ...options, autoConnect: false });
+
+        await client.connect();
+
+        return client;
+    }
+}
@@ -0,0 +1,140 @@
+// @flow
+import type WebSocket from 'ws';
+import MonotonicNow from 'monotonic-timestamp';
+
+import * as Utils from './utils';
+import type Client from './client';
+
+export type HeartbeatOptions = {|
+    enabled: boolean,
+    // Milliseconds between pings
+    interval: number,
+    // Milliseconds to wait for a pong before the ping counts as missed
+    timeout: number,
+    // Consecutive missed pings before the connection is considered dead
+    maxMissed: number,
+    // Action sent as an application-level ping when the socket has no ping()
+    action: string,
+|};
+
+// Node `ws` sockets can ping/pong at the protocol level, browser sockets cannot
+function supportsNativePing(ws: WebSocket) : boolean {
+    return !!ws && typeof ws.ping === 'function' && typeof ws.on === 'function';
+}
+
+// Periodically pings the server over the client's current socket and
+// terminates the connection when too many pings go unanswered.
+export default class Heartbeat {
+    client: Client;
+    options: HeartbeatOptions;
+    rtt: ?number = null;
+    missed: number = 0;
+    _ws: ?WebSocket = null;
+    _interval: ?IntervalID = null;
+    _pending: boolean = false;
+    _pongResolve: ?() => void = null;
+
+    constructor(client: Client, options: HeartbeatOptions) {
+        this.client = client;
+        this.options = options;
+    }
+
+    _handleNativePong = () => {
+        if (this._pongResolve) {
+            this._pongResolve();
+            this._pongResolve = null;
+        }
+    };
+
+    start(ws: WebSocket) {
+        this.stop();
+
+        this._ws = ws;
+        this.missed = 0;
+
+        if (supportsNativePing(ws)) {
+            ws.on('pong', this._handleNativePong);
+        }
+
+        this._interval = setInterval(() => this.beat(), this.options.interval);
+    }
+
+    stop() {
+        if (this._interval) {
+            clearInterval(this._interval);
+            this._interval = null;
+        }
+
+        const ws = this._ws;
+
+        if (ws && supportsNativePing(ws)) {
+            ws.removeListener('pong', this._handleNativePong);
+        }
+
+        this._ws = null;
+        this._pongResolve = null;
+    }
+
+    async beat() {
+        const ws = this._ws;
+
+        // Skip the beat if the previous ping is still in flight
+        if (!ws || this._pending) {
+            return;
+        }
+
+        this._pending = true;
+        const sentAt = MonotonicNow();
+
+        try {
+            await Utils.timeboxPromise(this._ping(ws), this.options.timeout);
+            this._handlePong(ws, MonotonicNow() - sentAt);
+        }
+        catch (e) {
+            this._handleMiss(ws);
+        }
+        finally {
+            this._pending = false;
+        }
+    }
+
+    _ping(ws: WebSocket) : Promise<mixed> {
+        if (supportsNativePing(ws)) {
+            const deferred = Utils.createDeferred();
+
+            this._pongResolve = deferred.resolve;
+            ws.ping();
+
+            return deferred.promise;
+        }
+
+        return this.client.convo(this.options.action, async convo => {
+            await convo.sendAndExpect({}, this.options.timeout);
+        });
+    }
+
+    _handlePong(ws: WebSocket, rtt: number) {
+        if (ws !== this._ws) {
+            return;
+        }
+
+        this.rtt = rtt;
+        this.missed = 0;
+        this.client.emitter.emit('heartbeat', { rtt });
+    }
+
+    _handleMiss(ws: WebSocket) {
+        if (ws !== this._ws) {
+            return;
+        }
+
+        this.missed++;
+        this.client.emitter.emit('heartbeatMissed', { missed: this.missed });
+
+        if (this.missed >= this.options.maxMissed) {
+            this.client.logger.error('Missed heartbeats, terminating connection', { missed: this.missed });
+            this.stop();
+            this.client._terminate('heartbeat timeout');
+        }
+    }
+}
@@ -0,0 +1,72 @@
+// @flow
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+// Structured context for a log line, e.g. `action`, `guid` or `bytes`
+export type LogFields = { [string]: mixed };
+
+export interface Logger {
+    debug(message: string, fields?: LogFields): void;
+    info(message: string, fields?: LogFields): void;
+    warn(message: string, fields?: LogFields): void;
+    error(message: string, fields?: LogFields): void;
+}
+
+// Applied to the `payload` field of every log line before it is written
+export type Redactor = (payload: mixed) => mixed;
+
+const LEVEL_ORDER: { [LogLevel]: number } = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100,
+};
+
+const noop = () => {};
+
+export const silentLogger: Logger = {
+    debug: noop,
+    info: noop,
+    warn: noop,
+    error: noop,
+};
+
+export const consoleLogger: Logger = {
+    debug: (message, fields) => fields ? console.debug(message, fields) : console.debug(message),
+    info: (message, fields) => fields ? console.info(message, fields) : console.info(message),
+    warn: (message, fields) => fields ? console.warn(message, fields) : console.warn(message),
+    error: (message, fields) => fields ? console.error(message, fields) : console.error(message),
+};
+
+// Wraps `logger` so that lines below `level` are skipped and payloads go
+// through `redact` first.
+export function createLogger(logger: Logger, level: LogLevel = 'info', redact: ?Redactor = null) : Logger {
+    if (!(level in LEVEL_ORDER)) {
+        throw new Error(`Unknown log level ${JSON.stringify(level)}`);
+    }
+
+    const write = (lineLevel: LogLevel) => (message: string, fields?: LogFields) => {
+        if (LEVEL_ORDER[lineLevel] < LEVEL_ORDER[level]) {
+            return;
+        }
+
+        if (fields && redact && 'payload' in fields) {
+            fields = { ...fields, payload: redact(fields.payload) };
+        }
+
+        switch (lineLevel) {
+            case 'debug': return logger.debug(message, fields);
+            case 'info': return logger.info(message, fields);
+            case 'warn': return logger.warn(message, fields);
+            default: return logger.error(message, fields);
+        }
+    };
+
+    return {
+        debug: write('debug'),
+        info: write('info'),
+        warn: write('warn'),
+        error: write('error'),
+    };
+}
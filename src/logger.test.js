@@ -0,0 +1,56 @@
+// @flow
+import { createLogger } from './logger';
+
+function recordingLogger() {
+    const lines = [];
+    const record = level => (message, fields) => { lines.push([level, message, fields]); };
+
+    return {
+        lines,
+        debug: record('debug'),
+        info: record('info'),
+        warn: record('warn'),
+        error: record('error'),
+    };
+}
+
+describe('createLogger', () => {
+    it('filters lines below the level', () => {
+        const sink = recordingLogger();
+        const logger = createLogger(sink, 'warn');
+
+        logger.debug('debug');
+        logger.info('info');
+        logger.warn('warn', { n: 1 });
+        logger.error('error');
+
+        expect(sink.lines).toEqual([
+            ['warn', 'warn', { n: 1 }],
+            ['error', 'error', undefined],
+        ]);
+    });
+
+    it('logs nothing when silent', () => {
+        const sink = recordingLogger();
+        const logger = createLogger(sink, 'silent');
+
+        logger.error('error');
+
+        expect(sink.lines).toEqual([]);
+    });
+
+    it('redacts payloads', () => {
+        const sink = recordingLogger();
+        const logger = createLogger(sink, 'debug', payload => ({ ...payload, token: '***' }));
+
+        logger.debug('Sending', { action: 'auth', payload: { token: 'secret', user: 'me' } });
+
+        expect(sink.lines).toEqual([
+            ['debug', 'Sending', { action: 'auth', payload: { token: '***', user: 'me' } }],
+        ]);
+    });
+
+    it('rejects unknown levels', () => {
+        expect(() => createLogger(recordingLogger(), ('verbose': any))).toThrow(/Unknown log level/);
+    });
+});
@@ -0,0 +1,88 @@
+// @flow
+export type MiddlewareDirection = 'inbound' | 'outbound';
+
+export type MiddlewareContext = {|
+    direction: MiddlewareDirection,
+    // Answers the message in place of passing it on: inbound replies are sent
+    // to whoever sent the message, outbound ones are delivered to our own convo
+    // as if the server had sent them
+    reply: (data: Object) => Promise<void>,
+    // Client.request() around the middleware. Anything a stage sends or waits
+    // for has to bypass it, as the stage holds up every message behind it.
+    request: (actionName: string, payload?: Object, options?: Object) => Promise<Object>,
+|};
+
+// Returns the message to pass on, which may be a different object, or null to
+// drop it. Returning nothing passes the message on unchanged.
+export type MiddlewareStage = (msg: Object, context: MiddlewareContext) => ?Object | Promise<?Object>;
+
+export type Middleware = {
+    outbound?: ?MiddlewareStage,
+    inbound?: ?MiddlewareStage,
+};
+
+// Runs messages through the registered middleware one at a time per direction,
+// so messages come out in the order they went in even when stages are async.
+// Outbound messages pass the middleware in the order it was added, inbound ones
+// in reverse, so whatever is added last is closest to the wire both ways.
+export default class MiddlewarePipeline {
+    middleware: Array<Middleware> = [];
+    _tails: { [MiddlewareDirection]: Promise<void> } = {
+        inbound: Promise.resolve(),
+        outbound: Promise.resolve(),
+    };
+
+    // Returns a function that removes `middleware` again
+    use(middleware: Middleware) : () => void {
+        if (!middleware || (typeof middleware.outbound !== 'function' && typeof middleware.inbound !== 'function')) {
+            throw new Error('Middleware needs an `outbound` or `inbound` function');
+        }
+
+        this.middleware.push(middleware);
+
+        return () => {
+            this.middleware = this.middleware.filter(m => m !== middleware);
+        };
+    }
+
+    // Whether messages going `direction` have anything to pass through
+    has(direction: MiddlewareDirection) : boolean {
+        return this.middleware.some(m => typeof m[direction] === 'function');
+    }
+
+    // Resolves with the message to send or deliver, or null if a stage dropped
+    // it. Rejects with whatever a stage throws.
+    run(direction: MiddlewareDirection, msg: Object, context: MiddlewareContext) : Promise<?Object> {
+        const result = this._tails[direction].then(() => this._pass(direction, msg, context));
+
+        this._tails[direction] = result.then(() => {}, () => {});
+
+        return result;
+    }
+
+    async _pass(direction: MiddlewareDirection, msg: Object, context: MiddlewareContext) : Promise<?Object> {
+        const stages = this.middleware
+            .map(m => m[direction])
+            .filter(Boolean);
+
+        if (direction === 'inbound') {
+            stages.reverse();
+        }
+
+        let current: ?Object = msg;
+
+        for (const stage of stages) {
+            const result = await stage(current, context);
+
+            if (result === null) {
+                return null;
+            }
+
+            if (result !== undefined) {
+                current = result;
+            }
+        }
+
+        return current;
+    }
+}
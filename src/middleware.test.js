@@ -0,0 +1,173 @@
+// @flow
+import MiddlewarePipeline from './middleware';
+import { createClient, sleep } from './test_helpers';
+
+const context = { direction: 'outbound', reply: async () => {}, request: async () => ({}) };
+
+describe('MiddlewarePipeline', () => {
+    it('runs outbound stages in order and inbound ones in reverse', async () => {
+        const pipeline = new MiddlewarePipeline();
+        const seen = [];
+
+        pipeline.use({ outbound: msg => ({ ...msg, trail: [...msg.trail, 'a'] }), inbound: msg => { seen.push('a'); } });
+        pipeline.use({ outbound: msg => ({ ...msg, trail: [...msg.trail, 'b'] }), inbound: msg => { seen.push('b'); } });
+
+        expect(await pipeline.run('outbound', { trail: [] }, context)).toEqual({ trail: ['a', 'b'] });
+        expect(await pipeline.run('inbound', { trail: [] }, { ...context, direction: 'inbound' })).toEqual({ trail: [] });
+        expect(seen).toEqual(['b', 'a']);
+    });
+
+    it('keeps the order of messages with async stages', async () => {
+        const pipeline = new MiddlewarePipeline();
+        const passed = [];
+
+        pipeline.use({ outbound: async msg => { await sleep(msg.delay); passed.push(msg.n); } });
+
+        const results = await Promise.all([
+            pipeline.run('outbound', { n: 1, delay: 30 }, context),
+            pipeline.run('outbound', { n: 2, delay: 0 }, context),
+        ]);
+
+        expect(passed).toEqual([1, 2]);
+        expect(results.map(msg => msg && msg.n)).toEqual([1, 2]);
+    });
+
+    it('stops at a stage that drops the message and carries on after errors', async () => {
+        const pipeline = new MiddlewarePipeline();
+        const after = jest.fn();
+
+        pipeline.use({ outbound: msg => msg.secret ? null : msg });
+        const remove = pipeline.use({ outbound: msg => { if (msg.fail) { throw new Error('nope'); } } });
+        pipeline.use({ outbound: after });
+
+        expect(await pipeline.run('outbound', { secret: true }, context)).toBe(null);
+        expect(after).not.toHaveBeenCalled();
+        await expect(pipeline.run('outbound', { fail: true }, context)).rejects.toThrow('nope');
+
+        remove();
+
+        expect(await pipeline.run('outbound', { fail: true }, context)).toEqual({ fail: true });
+        expect(after).toHaveBeenCalledTimes(1);
+        expect(pipeline.has('inbound')).toBe(false);
+        expect(() => pipeline.use({})).toThrow(/needs an `outbound` or `inbound` function/);
+    });
+});
+
+describe('Client middleware', () => {
+    it('stamps outgoing and unwraps incoming messages', async () => {
+        const { client, socket } = createClient();
+        const received = [];
+
+        client.use({
+            outbound: msg => ({ ...msg, token: 'secret' }),
+            inbound: async msg => {
+                await sleep(5);
+                return msg.wrapped ? { ...msg.wrapped, response_id: msg.response_id } : msg;
+            },
+        });
+        client.on('news', msg => { received.push(msg.n); });
+
+        const reply = client.request('whoami', {}, { raw: true });
+        await sleep(0);
+
+        const sent = socket.decoded()[0];
+        expect(sent).toMatchObject({ action: 'whoami', token: 'secret' });
+
+        socket.mockServerSend({ action: 'news', n: 1 });
+        socket.mockServerSend({ action: 'whoami', response_id: sent.response_id, wrapped: { action: 'whoami', name: 'me' } });
+        socket.mockServerSend({ action: 'news', n: 2 });
+
+        expect(await reply).toEqual({ action: 'whoami', response_id: sent.response_id, name: 'me' });
+        await sleep(20);
+        expect(received).toEqual([1, 2]);
+    });
+
+    it('drops messages and replies in their place', async () => {
+        const { client, socket } = createClient();
+        const unhandled = jest.fn();
+
+        client.emitter.on('unhandledMessage', unhandled);
+        client.use({
+            outbound: (msg, { reply }) => {
+                if (msg.action === 'cached') {
+                    reply({ value: 42 });
+                    return null;
+                }
+            },
+            inbound: (msg, { reply }) => {
+                if (msg.action === 'ping') {
+                    reply({ pong: true });
+                    return null;
+                }
+            },
+        });
+
+        expect(await client.request('cached', {}, { raw: true })).toMatchObject({ action: 'cached', value: 42 });
+        expect(socket.sends).toEqual([]);
+
+        socket.mockServerSend({ action: 'ping', response_id: 'p1', sender: 'bob' });
+        await sleep(0);
+
+        expect(socket.decoded()).toEqual([{ action: 'ping', response_id: 'p1', recipient: 'bob', pong: true }]);
+        expect(unhandled).not.toHaveBeenCalled();
+    });
+
+    it('lets outbound stages make requests of their own', async () => {
+        const { client, socket } = createClient();
+
+        client.use({
+            outbound: async (msg, { request }) => {
+                const { token } = await request('token', {}, { timeout: 100 });
+                return { ...msg, token };
+            },
+            inbound: async msg => { await sleep(5); },
+        });
+
+        const sent = client.send({ action: 'move' });
+        await sleep(0);
+
+        const tokenRequest = socket.decoded()[0];
+        expect(tokenRequest).toMatchObject({ action: 'token' });
+        expect(tokenRequest.token).toBe(undefined);
+
+        socket.mockServerSend({ action: 'token', response_id: tokenRequest.response_id, token: 'secret' });
+        await sent;
+
+        expect(socket.decoded()[1]).toEqual({ action: 'move', token: 'secret' });
+    });
+
+    it('lets inbound stages wait on replies', async () => {
+        const { client, socket } = createClient();
+        const received = [];
+
+        client.use({
+            inbound: async (msg, { request }) => {
+                if (msg.action === 'sealed') {
+                    const { key } = await request('key', { id: msg.key_id }, { timeout: 100 });
+                    return { action: 'sealed', text: `${msg.box} opened with ${key}` };
+                }
+            },
+        });
+        client.on('sealed', msg => { received.push(msg.text); });
+
+        socket.mockServerSend({ action: 'sealed', key_id: 7, box: 'box' });
+        await sleep(0);
+
+        const keyRequest = socket.decoded()[0];
+        expect(keyRequest).toMatchObject({ action: 'key', id: 7 });
+
+        socket.mockServerSend({ action: 'key', response_id: keyRequest.response_id, key: 'k7' });
+        await sleep(5);
+
+        expect(received).toEqual(['box opened with k7']);
+    });
+
+    it('rejects sends that outbound middleware fails', async () => {
+        const { client, socket } = createClient();
+
+        client.use({ outbound: () => { throw new Error('Not signed in'); } });
+
+        await expect(client.send({ action: 'move' })).rejects.toThrow('Not signed in');
+        expect(socket.sends).toEqual([]);
+    });
+});
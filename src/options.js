@@ -0,0 +1,215 @@
+// @flow
+import type WebSocket from 'ws';
+
+import type { ReconnectOptions } from './client';
+import type { OutboxOptions } from './outbox';
+import type { HeartbeatOptions } from './heartbeat';
+import type { ChunkingOptions } from './chunking';
+import type { CompressionOptions } from './compression';
+import type { ValidationOptions } from './validation';
+import { silentLogger } from './logger';
+import type { Logger, LogLevel, Redactor } from './logger';
+import { roomUrl } from './room';
+import type { RoomLocation } from './room';
+import type { Codec } from './codecs';
+
+// Gets the subprotocols to offer, which should be passed on to the socket
+export type SocketFactory = (url: string, protocols: Array<string>) => WebSocket;
+
+export type TimeoutOptions = {|
+    // Milliseconds send() waits for a connecting socket to open
+    send: number,
+    // Milliseconds Convo.expect() waits for a reply
+    expect: number,
+    // Milliseconds connect() waits for the socket to open
+    connect: number,
+|};
+
+// Fully resolved options, see DEFAULT_CLIENT_OPTIONS for what is left out
+export type ClientOptions = {|
+    url: string | () => string,
+    // Builds the url from the room instead, which allows switching rooms later
+    location: ?RoomLocation,
+    socketFactory: ?SocketFactory,
+    autoConnect: boolean,
+    timeouts: TimeoutOptions,
+    reconnect: ReconnectOptions,
+    outbox: OutboxOptions,
+    heartbeat: HeartbeatOptions,
+    chunking: ChunkingOptions,
+    compression: CompressionOptions,
+    validation: ValidationOptions,
+    logger: Logger,
+    logLevel: LogLevel,
+    redact: ?Redactor,
+    codecs: Array<string | Codec>,
+|};
+
+// Options as given by callers, nested groups may be given partially and groups
+// that can be switched on and off as just `true` or `false`
+export type ClientOptionsInput = {
+    url?: string | () => string,
+    location?: ?RoomLocation,
+    socketFactory?: ?SocketFactory,
+    autoConnect?: boolean,
+    timeouts?: $Shape<TimeoutOptions>,
+    reconnect?: $Shape<ReconnectOptions> | boolean,
+    outbox?: $Shape<OutboxOptions> | boolean,
+    heartbeat?: $Shape<HeartbeatOptions> | boolean,
+    chunking?: $Shape<ChunkingOptions>,
+    compression?: $Shape<CompressionOptions>,
+    validation?: $Shape<ValidationOptions>,
+    logger?: Logger,
+    logLevel?: LogLevel,
+    redact?: ?Redactor,
+    codecs?: Array<string | Codec>,
+};
+
+export const DEFAULT_TIMEOUTS: TimeoutOptions = {
+    send: 2000,
+    expect: 5000,
+    connect: 10000,
+};
+
+export const DEFAULT_RECONNECT_OPTIONS: ReconnectOptions = {
+    enabled: true,
+    initialDelay: 500,
+    maxDelay: 30000,
+    factor: 2,
+    jitter: 0.5,
+    maxAttempts: Infinity,
+};
+
+// Buffering is opt-in, without it send() fails when the connection is down
+export const DEFAULT_OUTBOX_OPTIONS: OutboxOptions = {
+    enabled: false,
+    maxSize: 100,
+    ttl: 30000,
+    overflow: 'drop-oldest',
+};
+
+export const DEFAULT_HEARTBEAT_OPTIONS: HeartbeatOptions = {
+    enabled: false,
+    interval: 15000,
+    timeout: 5000,
+    maxMissed: 2,
+    action: 'ping',
+};
+
+export const DEFAULT_CHUNKING_OPTIONS: ChunkingOptions = {
+    chunkSize: 64 * 1024,
+    ackTimeout: 5000,
+    retries: 3,
+    maxTransferSize: 64 * 1024 * 1024,
+    transferTimeout: 60000,
+};
+
+// permessage-deflate is offered as `ws` does by default, app-level compression is opt-in
+export const DEFAULT_COMPRESSION_OPTIONS: CompressionOptions = {
+    perMessageDeflate: true,
+    algorithm: null,
+    threshold: 1024,
+};
+
+// Only actions with registered schemas are validated
+export const DEFAULT_VALIDATION_OPTIONS: ValidationOptions = {
+    mode: 'strict',
+    schemas: {},
+};
+
+// Every option except `url`, which has to be given unless `location` is. The socket factory
+// defaults to the Node `ws` WebSocket and clients connect on construction.
+// Nothing is logged unless a logger is given, message payloads are only
+// logged at the debug level and pass through `redact` when set. Messages are
+// JSON unless other codecs are listed, which are then negotiated in order of preference.
+export const DEFAULT_CLIENT_OPTIONS = {
+    location: null,
+    socketFactory: null,
+    autoConnect: true,
+    timeouts: DEFAULT_TIMEOUTS,
+    reconnect: DEFAULT_RECONNECT_OPTIONS,
+    outbox: DEFAULT_OUTBOX_OPTIONS,
+    heartbeat: DEFAULT_HEARTBEAT_OPTIONS,
+    chunking: DEFAULT_CHUNKING_OPTIONS,
+    compression: DEFAULT_COMPRESSION_OPTIONS,
+    validation: DEFAULT_VALIDATION_OPTIONS,
+    logger: silentLogger,
+    logLevel: 'info',
+    redact: null,
+    codecs: ['json'],
+};
+
+// Groups are merged key by key instead of being replaced as a whole
+const OPTION_GROUPS = ['timeouts', 'reconnect', 'outbox', 'heartbeat', 'chunking', 'compression', 'validation'];
+
+// Whether `group` can be given as a boolean, standing for `{ enabled }`
+function isSwitchable(group: string) : boolean {
+    return 'enabled' in (DEFAULT_CLIENT_OPTIONS: Object)[group];
+}
+
+// The options given for `group` as an object, null standing for the defaults
+function groupOverrides(group: string, value: mixed) : Object {
+    if (typeof value === 'boolean') {
+        return { enabled: value };
+    }
+
+    return value || {};
+}
+
+// Throws on option names Client does not know about, which are usually typos,
+// and on groups given as something other than an object
+export function validateOptions(options: Object) {
+    Object.keys(options).forEach(key => {
+        if (key !== 'url' && !(key in DEFAULT_CLIENT_OPTIONS)) {
+            throw new Error(`Unknown client option "${key}"`);
+        }
+
+        if (OPTION_GROUPS.includes(key)) {
+            const value = options[key];
+            const isGroup = value === null || value === undefined || (typeof value === 'object' && !Array.isArray(value));
+
+            if (!isGroup && !(typeof value === 'boolean' && isSwitchable(key))) {
+                throw new Error(`Client option "${key}" must be an object${isSwitchable(key) ? ' or a boolean' : ''}, got ${JSON.stringify(value) || typeof value}`);
+            }
+
+            Object.keys(groupOverrides(key, value)).forEach(subKey => {
+                if (!(subKey in (DEFAULT_CLIENT_OPTIONS: Object)[key])) {
+                    throw new Error(`Unknown client option "${key}.${subKey}"`);
+                }
+            });
+        }
+    });
+}
+
+export function mergeOptions(base: ClientOptionsInput, overrides: ClientOptionsInput) : ClientOptionsInput {
+    validateOptions(overrides);
+
+    const merged: Object = { ...base, ...overrides };
+
+    OPTION_GROUPS.forEach(group => {
+        merged[group] = {
+            ...groupOverrides(group, (base: Object)[group]),
+            ...groupOverrides(group, (overrides: Object)[group]),
+        };
+    });
+
+    return merged;
+}
+
+export function resolveOptions(options: ClientOptionsInput) : ClientOptions {
+    const resolved: Object = mergeOptions(DEFAULT_CLIENT_OPTIONS, options);
+
+    if (resolved.location) {
+        if (resolved.url) {
+            throw new Error('Only one of url and location can be given');
+        }
+
+        resolved.url = roomUrl(resolved.location);
+    }
+
+    if (typeof resolved.url !== 'string' && typeof resolved.url !== 'function') {
+        throw new Error('Url parameter must be string or function');
+    }
+
+    return resolved;
+}
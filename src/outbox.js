@@ -0,0 +1,147 @@
+// @flow
+import MonotonicNow from 'monotonic-timestamp';
+
+import * as Utils from './utils';
+
+export type OverflowPolicy = 'drop-oldest' | 'drop-newest' | 'reject';
+
+export type OutboxOptions = {|
+    enabled: boolean,
+    maxSize: number,
+    // Milliseconds a message may wait in the outbox before being discarded
+    ttl: number,
+    overflow: OverflowPolicy,
+|};
+
+export type OutboxDropReason = 'overflow' | 'expired' | 'closed';
+
+// Exception for messages that were buffered but never sent, or refused by a full outbox
+export class OutboxError {
+    reason: OutboxDropReason | 'full';
+    data: Object;
+
+    constructor(reason: OutboxDropReason | 'full', data: Object) {
+        this.reason = reason;
+        this.data = data;
+    }
+
+    toString() : string {
+        return this.reason === 'full'
+            ? 'Outbox is full, message rejected'
+            : `Outbox message dropped (${this.reason})`;
+    }
+}
+
+export type OutboxEntry = {|
+    data: Object,
+    enqueuedAt: number,
+    deferred: Utils.Deferred<void>,
+    timer: ?TimeoutID,
+|};
+
+// Holds outgoing messages while the connection is down, in send order.
+export default class Outbox {
+    options: OutboxOptions;
+    onDrop: (Object, OutboxDropReason) => void;
+    _entries: Array<OutboxEntry> = [];
+
+    constructor(options: OutboxOptions, onDrop: (Object, OutboxDropReason) => void = () => {}) {
+        this.options = options;
+        this.onDrop = onDrop;
+    }
+
+    // Resolves once the message has been handed to the socket, rejects with an
+    // OutboxError if it is dropped beforehand.
+    push(data: Object) : Promise<void> {
+        const { maxSize, overflow, ttl } = this.options;
+
+        if (this._entries.length >= maxSize) {
+            switch (overflow) {
+                case 'reject':
+                    return Promise.reject(new OutboxError('full', data));
+
+                case 'drop-newest':
+                    this.onDrop(data, 'overflow');
+                    return Promise.reject(new OutboxError('overflow', data));
+
+                case 'drop-oldest':
+                    this._drop(this._entries[0], 'overflow');
+                    break;
+
+                default:
+                    throw new Error(`Unknown outbox overflow policy ${JSON.stringify(overflow)}`);
+            }
+        }
+
+        const entry: OutboxEntry = {
+            data,
+            enqueuedAt: MonotonicNow(),
+            deferred: Utils.createDeferred(),
+            timer: null,
+        };
+
+        if (Number.isFinite(ttl)) {
+            entry.timer = setTimeout(() => this._drop(entry, 'expired'), ttl);
+        }
+
+        this._entries.push(entry);
+
+        return entry.deferred.promise;
+    }
+
+    // Removes and returns every pending entry, the caller is responsible for settling them
+    take() : Array<OutboxEntry> {
+        const entries = this._entries;
+        this._entries = [];
+
+        entries.forEach(entry => {
+            if (entry.timer) {
+                clearTimeout(entry.timer);
+            }
+        });
+
+        return entries;
+    }
+
+    // Quietly takes back a message that has not been sent yet
+    remove(data: Object) : boolean {
+        const entry = this._entries.find(entry => entry.data === data);
+
+        if (!entry) {
+            return false;
+        }
+
+        this._entries.splice(this._entries.indexOf(entry), 1);
+
+        if (entry.timer) {
+            clearTimeout(entry.timer);
+        }
+
+        return true;
+    }
+
+    clear(reason: OutboxDropReason = 'closed') {
+        this._entries.slice().forEach(entry => this._drop(entry, reason));
+    }
+
+    _drop(entry: OutboxEntry, reason: OutboxDropReason) {
+        const index = this._entries.indexOf(entry);
+
+        if (index === -1) {
+            return;
+        }
+
+        this._entries.splice(index, 1);
+
+        if (entry.timer) {
+            clearTimeout(entry.timer);
+        }
+
+        this.onDrop(entry.data, reason);
+        entry.deferred.reject(new OutboxError(reason, entry.data));
+    }
+
+    get size() : number {
+        return this._entries.length;
+    }
+}
@@ -0,0 +1,66 @@
+// @flow
+import Outbox, { OutboxError } from './outbox';
+import { DEFAULT_OUTBOX_OPTIONS } from './options';
+
+function sleep(time) {
+    return new Promise(resolve => setTimeout(resolve, time));
+}
+
+describe('Outbox', () => {
+    const options = { ...DEFAULT_OUTBOX_OPTIONS, enabled: true, maxSize: 2 };
+
+    it('hands out entries in order', () => {
+        const outbox = new Outbox(options);
+
+        outbox.push({n: 1});
+        outbox.push({n: 2});
+
+        expect(outbox.take().map(entry => entry.data)).toEqual([{n: 1}, {n: 2}]);
+        expect(outbox.size).toBe(0);
+    });
+
+    it('drops the oldest message on overflow', async () => {
+        const drops = [];
+        const outbox = new Outbox(options, (data, reason) => { drops.push([data, reason]); });
+
+        const first = outbox.push({n: 1});
+        outbox.push({n: 2});
+        outbox.push({n: 3});
+
+        await expect(first).rejects.toEqual(new OutboxError('overflow', {n: 1}));
+        expect(drops).toEqual([[{n: 1}, 'overflow']]);
+        expect(outbox.take().map(entry => entry.data)).toEqual([{n: 2}, {n: 3}]);
+    });
+
+    it('drops the newest message on overflow', async () => {
+        const outbox = new Outbox({ ...options, overflow: 'drop-newest' });
+
+        outbox.push({n: 1});
+        outbox.push({n: 2});
+
+        await expect(outbox.push({n: 3})).rejects.toEqual(new OutboxError('overflow', {n: 3}));
+        expect(outbox.take().map(entry => entry.data)).toEqual([{n: 1}, {n: 2}]);
+    });
+
+    it('rejects when full', async () => {
+        const drops = [];
+        const outbox = new Outbox({ ...options, overflow: 'reject' }, data => { drops.push(data); });
+
+        outbox.push({n: 1});
+        outbox.push({n: 2});
+
+        await expect(outbox.push({n: 3})).rejects.toEqual(new OutboxError('full', {n: 3}));
+        expect(drops).toEqual([]);
+        expect(outbox.size).toBe(2);
+    });
+
+    it('expires messages after their ttl', async () => {
+        const outbox = new Outbox({ ...options, ttl: 10 });
+
+        const promise = expect(outbox.push({n: 1})).rejects.toEqual(new OutboxError('expired', {n: 1}));
+        await sleep(20);
+
+        expect(outbox.size).toBe(0);
+        await promise;
+    });
+});
@@ -0,0 +1,39 @@
+// @flow
+import type Client, { Convo, ConvoOptions, RequestOptions, SendOptions } from './client';
+
+// Frames addressed to another member of the room carry its id in this field,
+// the server relays them and stamps the sender's id in SENDER_FIELD.
+export const RECIPIENT_FIELD = 'recipient';
+export const SENDER_FIELD = 'sender';
+
+// Talks to a single member of the client's room through the server. Replies
+// come back on the convo guid just like replies from the server itself.
+export default class Peer {
+    client: Client;
+    id: string;
+
+    constructor(client: Client, id: string) {
+        this.client = client;
+        this.id = id;
+    }
+
+    get envelope() : Object {
+        return { [RECIPIENT_FIELD]: this.id };
+    }
+
+    async send(actionName: string, payload: Object = {}, options: SendOptions = {}) {
+        return this.client.send({ ...payload, action: actionName, ...this.envelope }, null, options);
+    }
+
+    async request(actionName: string, payload: Object = {}, options: RequestOptions = {}) : Promise<Object> {
+        return this.client.request(actionName, payload, { ...options, envelope: this.envelope });
+    }
+
+    async convo<R>(
+        actionName: string,
+        asyncAction: (Convo, string) => Promise<R>,
+        options: ConvoOptions = {},
+    ) : Promise<R> {
+        return this.client.convo(actionName, asyncAction, { ...options, envelope: this.envelope });
+    }
+}
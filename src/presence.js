@@ -0,0 +1,190 @@
+// @flow
+import _ from 'lodash';
+import EventEmitter from 'event-emitter-es6';
+
+import type Client from './client';
+import * as Utils from './utils';
+
+export type Member = Object;
+
+export type PresenceOptions = {|
+    // Replied to with our own member
+    whoamiAction: string,
+    // Replied to with every member currently in the room
+    listAction: string,
+    // Broadcast by the server when members come, go or change
+    joinAction: string,
+    leaveAction: string,
+    changeAction: string,
+    // Where the member is in whoami replies and join/leave/change broadcasts
+    memberOf: (Object) => Member,
+    // Where the members are in list replies
+    membersOf: (Object) => Array<Member>,
+    idOf: (Member) => string,
+|};
+
+export const DEFAULT_PRESENCE_OPTIONS: PresenceOptions = {
+    whoamiAction: 'whoami',
+    listAction: 'list_members',
+    joinAction: 'member_joined',
+    leaveAction: 'member_left',
+    changeAction: 'member_changed',
+    memberOf: msg => msg.member,
+    membersOf: reply => reply.members,
+    idOf: member => member.id,
+};
+
+// Keeps a live map of who is in the client's room. Emits `join`, `leave` and
+// `change` events with `{id, member}` (and `previous` for changes) on `emitter`.
+// The member list is fetched again whenever the client reconnects, since
+// broadcasts may have been missed in the meantime. When the client switches
+// rooms everyone leaves, and who we are and who is in the room are fetched
+// again once the new room's connection opens.
+export default class Presence {
+    client: Client;
+    options: PresenceOptions;
+    emitter: EventEmitter = new EventEmitter({ emitDelay: 0});
+    self: ?Member = null;
+    members: Map<string, Member> = new Map();
+    _unsubscribers: Array<() => void> = [];
+    _roomChanged: boolean = false;
+
+    constructor(client: Client, options: $Shape<PresenceOptions> = {}) {
+        this.client = client;
+        this.options = { ...DEFAULT_PRESENCE_OPTIONS, ...options };
+    }
+
+    get selfId() : ?string {
+        return this.self ? this.options.idOf(this.self) : null;
+    }
+
+    async start() {
+        const { joinAction, leaveAction, changeAction, memberOf } = this.options;
+
+        this.stop();
+
+        this._unsubscribers = [
+            this.client.on(joinAction, msg => this._update(memberOf(msg))),
+            this.client.on(changeAction, msg => this._update(memberOf(msg))),
+            this.client.on(leaveAction, msg => this._remove(this.options.idOf(memberOf(msg)))),
+        ];
+
+        const resync = () => {
+            this.sync().catch(e => this.client.logger.error('Could not sync presence', { error: String(e) }));
+        };
+
+        const leaveRoom = () => {
+            this._roomChanged = true;
+            this.self = null;
+            Array.from(this.members.keys()).forEach(id => this._remove(id));
+        };
+
+        const enterRoom = () => {
+            if (this._roomChanged) {
+                this._roomChanged = false;
+                this._fetch().catch(e => this.client.logger.error('Could not sync presence', { error: String(e) }));
+            }
+        };
+
+        this.client.emitter.on('reconnected', resync);
+        this.client.emitter.on('roomChange', leaveRoom);
+        this.client.emitter.on('open', enterRoom);
+        this._unsubscribers.push(
+            () => this.client.emitter.off('reconnected', resync),
+            () => this.client.emitter.off('roomChange', leaveRoom),
+            () => this.client.emitter.off('open', enterRoom),
+        );
+
+        await this._fetch();
+    }
+
+    // Asks who we are, then who is in the room
+    async _fetch() {
+        const { memberOf, whoamiAction } = this.options;
+
+        this.self = memberOf(await this.client.request(whoamiAction));
+        await this.sync();
+    }
+
+    stop() {
+        this._unsubscribers.forEach(unsubscribe => unsubscribe());
+        this._unsubscribers = [];
+        this._roomChanged = false;
+    }
+
+    // Replaces the member map with the server's listing, emitting events for the differences
+    async sync() {
+        const { listAction, membersOf, idOf } = this.options;
+
+        const listed = membersOf(await this.client.request(listAction));
+        const listedIds = new Set(listed.map(idOf));
+
+        Array.from(this.members.keys())
+            .filter(id => !listedIds.has(id))
+            .forEach(id => this._remove(id));
+
+        listed.forEach(member => this._update(member));
+    }
+
+    _update(member: Member) {
+        const id = this.options.idOf(member);
+        const previous = this.members.get(id);
+
+        this.members.set(id, member);
+
+        if (previous) {
+            if (!_.isEqual(previous, member)) {
+                this.emitter.emit('change', { id, member, previous });
+            }
+        }
+        else {
+            this.emitter.emit('join', { id, member });
+        }
+    }
+
+    _remove(id: string) {
+        const member = this.members.get(id);
+
+        if (member) {
+            this.members.delete(id);
+            this.emitter.emit('leave', { id, member });
+        }
+    }
+
+    // Resolves with the member once it is in the room
+    waitForMember(id: string, timeout: ?number = null) : Promise<Member> {
+        const present = this.members.get(id);
+
+        if (present) {
+            return Promise.resolve(present);
+        }
+
+        let listener: ?({ id: string, member: Member }) => void = null;
+
+        const unsub = () => {
+            if (listener) {
+                this.emitter.off('join', listener);
+                listener = null;
+            }
+        };
+
+        const promise = new Promise(resolve => {
+            listener = event => {
+                if (event.id === id) {
+                    resolve(event.member);
+                }
+            };
+
+            this.emitter.on('join', listener);
+        });
+
+        // Deferred like in Client.waitForState()
+        promise.then(unsub);
+
+        return Utils.timeboxPromise(
+            promise,
+            timeout === null || timeout === undefined ? this.client.options.timeouts.expect : timeout,
+            unsub,
+        );
+    }
+}
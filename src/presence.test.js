@@ -0,0 +1,126 @@
+// @flow
+import Client from './client';
+import Presence from './presence';
+import { MockSocket } from './test_helpers';
+import * as Utils from './utils';
+
+// Socket of a server that answers presence requests from `replies`
+class MockServerSocket extends MockSocket {
+    replies: { [string]: Object };
+
+    constructor(replies: { [string]: Object }) {
+        super();
+        this.replies = replies;
+    }
+
+    send(data) {
+        const { action, response_id } = JSON.parse(data);
+
+        setTimeout(() => this.mockServerSend({ ...this.replies[action], response_id }), 0);
+    }
+}
+
+describe('Presence', () => {
+    const me = { id: 'me', name: 'Me' };
+    const them = { id: 'them', name: 'Them' };
+
+    async function startPresence() {
+        const socket = new MockServerSocket({
+            whoami: { member: me },
+            list_members: { members: [me, them] },
+        });
+        const client = new Client({ url: 'whatever', socketFactory: () => socket });
+        const presence = new Presence(client);
+
+        socket.mockConnect();
+        await presence.start();
+
+        return { socket, presence };
+    }
+
+    it('learns who we are and who is in the room', async () => {
+        const { presence } = await startPresence();
+
+        expect(presence.self).toEqual(me);
+        expect(presence.selfId).toBe('me');
+        expect(Array.from(presence.members.keys())).toEqual(['me', 'them']);
+    });
+
+    it('tracks joins, changes and leaves', async () => {
+        const { socket, presence } = await startPresence();
+        const events = [];
+
+        ['join', 'change', 'leave'].forEach(type => {
+            presence.emitter.on(type, ({ id }) => events.push([type, id]));
+        });
+
+        socket.mockServerSend({ action: 'member_joined', member: { id: 'new' } });
+        socket.mockServerSend({ action: 'member_changed', member: { ...them, name: 'Renamed' } });
+        socket.mockServerSend({ action: 'member_left', member: { id: 'new' } });
+
+        expect(events).toEqual([['join', 'new'], ['change', 'them'], ['leave', 'new']]);
+        expect(presence.members.get('them')).toEqual({ ...them, name: 'Renamed' });
+        expect(presence.members.has('new')).toBe(false);
+    });
+
+    it('waits for a member to join', async () => {
+        const { socket, presence } = await startPresence();
+
+        setTimeout(() => socket.mockServerSend({ action: 'member_joined', member: { id: 'late' } }), 5);
+
+        expect(await presence.waitForMember('late', 50)).toEqual({ id: 'late' });
+        expect(await presence.waitForMember('them', 50)).toEqual(them);
+
+        let error: any = null;
+        await presence.waitForMember('never', 10).catch(e => { error = e; });
+        expect(error).toBeInstanceOf(Utils.TimeboxTimeout);
+    });
+
+    it('starts over in a room switched to', async () => {
+        const other = { id: 'other', name: 'Other' };
+        const rooms = {
+            a: { whoami: { member: me }, list_members: { members: [me, them] } },
+            b: { whoami: { member: { ...me, name: 'Me in b' } }, list_members: { members: [{ ...me, name: 'Me in b' }, other] } },
+        };
+        const sockets = [];
+        const client = new Client({
+            location: { baseUrl: 'ws://host', channel: 'chan', room: 'a' },
+            socketFactory: url => {
+                const socket = new MockServerSocket(url.includes('/b/') ? rooms.b : rooms.a);
+                sockets.push(socket);
+                return socket;
+            },
+        });
+        const presence = new Presence(client);
+        const events = [];
+
+        sockets[0].mockConnect();
+        await presence.start();
+
+        ['join', 'leave'].forEach(type => {
+            presence.emitter.on(type, ({ id }) => events.push([type, id]));
+        });
+
+        const switched = client.switchRoom('chan', 'b');
+
+        expect(presence.self).toBe(null);
+        expect(presence.members.size).toBe(0);
+
+        sockets[1].mockConnect();
+        await switched;
+        await presence.waitForMember('other', 1000);
+
+        expect(presence.self).toEqual({ ...me, name: 'Me in b' });
+        expect(Array.from(presence.members.keys())).toEqual(['me', 'other']);
+        expect(events).toEqual([['leave', 'me'], ['leave', 'them'], ['join', 'me'], ['join', 'other']]);
+    });
+
+    it('stops tracking', async () => {
+        const { socket, presence } = await startPresence();
+
+        presence.stop();
+        socket.mockServerSend({ action: 'member_joined', member: { id: 'new' } });
+
+        expect(presence.members.has('new')).toBe(false);
+    });
+});
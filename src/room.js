@@ -0,0 +1,26 @@
+// @flow
+
+// Where a room lives on a web-switch server, which serves every room of
+// every channel at `<baseUrl>/<channel>/<room>/`.
+export type RoomLocation = {|
+    baseUrl: string,
+    channel: string,
+    room: string,
+|};
+
+export function roomUrl(location: RoomLocation) : string {
+    const { baseUrl, channel, room } = location;
+
+    if (!channel || !room) {
+        throw new Error('Channel and room must be non-empty');
+    }
+
+    const base = baseUrl.replace(/\/+$/, '');
+
+    return `${base}/${encodeURIComponent(channel)}/${encodeURIComponent(room)}/`;
+}
+
+// Identifies a room within a server, e.g. as a map key
+export function roomKey(channel: string, room: string) : string {
+    return `${encodeURIComponent(channel)}/${encodeURIComponent(room)}`;
+}
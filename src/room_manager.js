@@ -0,0 +1,122 @@
+// @flow
+import EventEmitter from 'event-emitter-es6';
+
+import Client from './client';
+import ClientFactory from './factory';
+import { roomKey } from './room';
+import type { ClientOptionsInput } from './options';
+
+// Client events that are re-emitted by the manager along with their room
+const FORWARDED_EVENTS = [
+    'open',
+    'close',
+    'error',
+    'stateChange',
+    'reconnecting',
+    'reconnected',
+    'gave-up',
+    'unhandledMessage',
+];
+
+type RoomEntry = {|
+    client: Client,
+    channel: string,
+    room: string,
+    refs: number,
+    unsubscribe: () => void,
+|};
+
+// Keeps one client per room of a server, sharing the options of `defaults`.
+// Rooms are reference counted: every join() needs a matching leave(), and the
+// client is closed once nobody is in the room anymore.
+export default class RoomManager {
+    emitter: EventEmitter = new EventEmitter({ emitDelay: 0});
+    baseUrl: string;
+    factory: ClientFactory;
+    rooms: Map<string, RoomEntry> = new Map();
+
+    constructor(baseUrl: string, defaults: ClientOptionsInput = {}) {
+        this.baseUrl = baseUrl;
+        this.factory = new ClientFactory(defaults);
+    }
+
+    get(channel: string, room: string) : ?Client {
+        const entry = this.rooms.get(roomKey(channel, room));
+
+        return entry ? entry.client : null;
+    }
+
+    // Resolves with the room's client once it is open
+    async join(channel: string, room: string) : Promise<Client> {
+        const key = roomKey(channel, room);
+        let entry = this.rooms.get(key);
+
+        if (entry) {
+            entry.refs++;
+        }
+        else {
+            const client = this.factory.room(this.baseUrl, channel, room, { autoConnect: false });
+
+            entry = { client, channel, room, refs: 1, unsubscribe: this._forwardEvents(client, channel, room) };
+            this.rooms.set(key, entry);
+            this.emitter.emit('join', { channel, room, client });
+        }
+
+        try {
+            await entry.client.connect();
+        }
+        catch (e) {
+            await this.leave(channel, room);
+            throw e;
+        }
+
+        return entry.client;
+    }
+
+    async leave(channel: string, room: string) {
+        const key = roomKey(channel, room);
+        const entry = this.rooms.get(key);
+
+        if (!entry) {
+            throw new Error(`Not in room ${key}`);
+        }
+
+        if (--entry.refs > 0) {
+            return;
+        }
+
+        this.rooms.delete(key);
+        await this._closeEntry(entry);
+    }
+
+    async closeAll() {
+        const entries = Array.from(this.rooms.values());
+
+        this.rooms.clear();
+        await Promise.all(entries.map(entry => this._closeEntry(entry)));
+    }
+
+    async _closeEntry(entry: RoomEntry) {
+        const { client, channel, room } = entry;
+
+        try {
+            await client.close();
+        }
+        finally {
+            entry.unsubscribe();
+            this.emitter.emit('leave', { channel, room, client });
+        }
+    }
+
+    _forwardEvents(client: Client, channel: string, room: string) : () => void {
+        const listeners = FORWARDED_EVENTS.map(eventName => {
+            const listener = data => this.emitter.emit(eventName, { channel, room, data });
+
+            client.emitter.on(eventName, listener);
+
+            return [eventName, listener];
+        });
+
+        return () => listeners.forEach(([eventName, listener]) => client.emitter.off(eventName, listener));
+    }
+}
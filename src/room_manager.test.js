@@ -0,0 +1,82 @@
+// @flow
+import RoomManager from './room_manager';
+import { ConnectionState } from './client';
+import { MockSocket } from './test_helpers';
+
+describe('RoomManager', () => {
+    let sockets: Array<MockSocket> = [];
+
+    // Sockets open as soon as the client dials them
+    const socketFactory = url => {
+        const socket = new MockSocket(url);
+        sockets.push(socket);
+        setTimeout(() => socket.mockConnect(), 0);
+        return socket;
+    };
+
+    beforeEach(() => { sockets = []; });
+
+    it('shares one client per room', async () => {
+        const manager = new RoomManager('ws://host', { socketFactory });
+
+        const client = await manager.join('chan', 'a');
+        const again = await manager.join('chan', 'a');
+        const other = await manager.join('chan', 'b');
+
+        expect(again).toBe(client);
+        expect(other).not.toBe(client);
+        expect(sockets.map(socket => socket.url)).toEqual(['ws://host/chan/a/', 'ws://host/chan/b/']);
+        expect(manager.get('chan', 'a')).toBe(client);
+    });
+
+    it('closes rooms once everyone left', async () => {
+        const manager = new RoomManager('ws://host', { socketFactory });
+        const left = [];
+        manager.emitter.on('leave', ({ room }) => left.push(room));
+
+        const client = await manager.join('chan', 'a');
+        await manager.join('chan', 'a');
+
+        await manager.leave('chan', 'a');
+        expect(client.state).toBe(ConnectionState.OPEN);
+
+        await manager.leave('chan', 'a');
+        expect(client.state).toBe(ConnectionState.CLOSED);
+        expect(manager.get('chan', 'a')).toBe(null);
+        expect(left).toEqual(['a']);
+    });
+
+    it('forwards client events with their room', async () => {
+        const manager = new RoomManager('ws://host', { socketFactory });
+        const opened = [];
+        manager.emitter.on('open', ({ channel, room }) => opened.push(`${channel}/${room}`));
+
+        await manager.join('chan', 'a');
+        await manager.join('chan', 'b');
+
+        expect(opened).toEqual(['chan/a', 'chan/b']);
+    });
+
+    it('closes all rooms', async () => {
+        const manager = new RoomManager('ws://host', { socketFactory });
+
+        const a = await manager.join('chan', 'a');
+        const b = await manager.join('chan', 'b');
+        await manager.closeAll();
+
+        expect([a.state, b.state]).toEqual([ConnectionState.CLOSED, ConnectionState.CLOSED]);
+        expect(manager.rooms.size).toBe(0);
+    });
+
+    it('gives up the room when joining fails', async () => {
+        const manager = new RoomManager('ws://host', {
+            socketFactory: url => { throw new Error('No network'); },
+        });
+
+        let error: any = null;
+        await manager.join('chan', 'a').catch(e => { error = e; });
+
+        expect(String(error)).toMatch(/No network/);
+        expect(manager.rooms.size).toBe(0);
+    });
+});
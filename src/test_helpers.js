@@ -0,0 +1,87 @@
+// @flow
+import WebSocket from 'ws';
+import Client from './client';
+
+// Socket handed to Client through `socketFactory`, the test plays the server
+export class MockSocket {
+    url: string;
+    protocols: Array<string>;
+    protocol: string = '';
+    binaryType: string = 'nodebuffer';
+    listeners: { [string]: (Object) => void } = {};
+    readyState: number = WebSocket.CONNECTING;
+    sends: Array<any> = [];
+
+    constructor(url: string = '', protocols: Array<string> = []) {
+        this.url = url;
+        this.protocols = protocols;
+    }
+
+    addEventListener(event: string, fn: (Object) => void) {
+        this.listeners[event] = fn;
+    }
+
+    send(data: any) {
+        this.sends.push(data);
+    }
+
+    close() {
+        this.readyState = WebSocket.CLOSED;
+        this.listeners.close({});
+    }
+
+    // Opens with `protocol`, or given a list the first offered subprotocol the
+    // "server" supports, or else the first one offered
+    mockConnect(protocol: ?(string | Array<string>) = null) {
+        if (Array.isArray(protocol)) {
+            const supported = protocol;
+            this.protocol = this.protocols.find(offered => supported.includes(offered)) || '';
+        }
+        else {
+            this.protocol = protocol === null || protocol === undefined ? this.protocols[0] || '' : protocol;
+        }
+
+        this.readyState = WebSocket.OPEN;
+        this.listeners.open({});
+    }
+
+    // Frames are delivered as they are, anything else as JSON
+    mockServerSend(data: any) {
+        const frame = typeof data === 'string' || data instanceof Uint8Array || data instanceof ArrayBuffer
+            ? data
+            : JSON.stringify(data);
+
+        this.listeners.message({ data: frame });
+    }
+
+    // Text frames sent so far, parsed
+    decoded() : Array<any> {
+        return this.sends.filter(data => typeof data === 'string').map(data => JSON.parse(data));
+    }
+
+    popDecoded() : any {
+        return JSON.parse(this.sends.pop());
+    }
+}
+
+// Client on a MockSocket that is open already unless `connect` is false
+export function createClient(options: Object = {}, connect: boolean = true) : { client: Client, socket: MockSocket } {
+    let socket: ?MockSocket = null;
+    const client = new Client({
+        ...options,
+        url: 'ws://host',
+        socketFactory: (url, protocols) => (socket = new MockSocket(url, protocols)),
+    });
+
+    if (!socket) {
+        throw new Error('No socket created');
+    }
+
+    if (connect) {
+        socket.mockConnect();
+    }
+
+    return { client, socket };
+}
+
+export const sleep = (time: number) : Promise<void> => new Promise(resolve => setTimeout(resolve, time));
@@ -71,4 +71,85 @@ export function createDeferred<T>() : Deferred<T> {
   }
 
   return { promise, resolve, reject };
-}
\ No newline at end of file
+}
+
+export type BackoffOptions = {
+  initialDelay: number,
+  maxDelay: number,
+  factor: number,
+  jitter: number,
+};
+
+// Exponential backoff delay for the zero-based `attempt`, with up to `jitter`
+// (a fraction of the delay) randomly taken off to spread out reconnect storms.
+export function backoffDelay(
+  attempt: number,
+  options: BackoffOptions,
+  random: () => number = Math.random,
+) : number {
+  const { initialDelay, maxDelay, factor, jitter } = options;
+  const delay = Math.min(maxDelay, initialDelay * Math.pow(factor, attempt));
+
+  return delay - delay * jitter * random();
+}
+
+// Exception for operations cancelled through an abort signal
+export class AbortError {
+  reason: mixed;
+
+  constructor(reason: mixed = null) {
+    this.reason = reason;
+  }
+
+  toString() : string {
+    return 'Operation was aborted';
+  }
+}
+
+// Anything shaped like the DOM AbortSignal, so callers are free to bring
+// their own AbortController implementation.
+export type AbortSignalLike = {
+  +aborted: boolean,
+  +reason?: mixed,
+  addEventListener(type: 'abort', listener: () => void) : void,
+  removeEventListener(type: 'abort', listener: () => void) : void,
+};
+
+// Wraps a promise such that it rejects with an AbortError once `signal` is
+// aborted, `onAbort` gets a chance to clean up whatever the promise waits on.
+export function abortablePromise<T>(
+  promise: Promise<T>,
+  signal: ?AbortSignalLike,
+  onAbort: ?() => void = null,
+) : Promise<T> {
+  if (!signal) {
+    return promise;
+  }
+
+  const abortSignal = signal;
+
+  return new Promise((resolve, reject) => {
+    const abortCallback = () => {
+      if (onAbort) {
+        onAbort();
+      }
+
+      reject(new AbortError(abortSignal.reason));
+    };
+
+    if (abortSignal.aborted) {
+      abortCallback();
+      return;
+    }
+
+    abortSignal.addEventListener('abort', abortCallback);
+
+    promise.then(data => {
+      abortSignal.removeEventListener('abort', abortCallback);
+      resolve(data);
+    }).catch(data => {
+      abortSignal.removeEventListener('abort', abortCallback);
+      reject(data);
+    });
+  });
+}
@@ -0,0 +1,70 @@
+// @flow
+import Ajv from 'ajv';
+import _ from 'lodash';
+
+import { ValidationError } from './errors';
+import type { ValidationDirection } from './errors';
+import { ATTACHMENTS_FIELD } from './attachments';
+import { RECIPIENT_FIELD, SENDER_FIELD } from './peer';
+
+// `strict` refuses invalid payloads, `warn` only logs them
+export type ValidationMode = 'strict' | 'warn' | 'off';
+
+// JSON Schemas of what is sent to start an action and what is sent back
+export type ActionSchemas = {
+    request?: ?Object,
+    response?: ?Object,
+};
+
+export type ValidationOptions = {|
+    mode: ValidationMode,
+    schemas: { [action: string]: ActionSchemas },
+|};
+
+// Routing fields every message may carry, schemas only describe the rest
+const ENVELOPE_FIELDS = ['action', 'response_id', RECIPIENT_FIELD, SENDER_FIELD, ATTACHMENTS_FIELD];
+
+export function payloadOf(obj: Object) : Object {
+    return _.omit(obj, ENVELOPE_FIELDS);
+}
+
+type Validators = {|
+    request: ?(mixed) => boolean,
+    response: ?(mixed) => boolean,
+|};
+
+// Compiled schemas by action, actions without a schema are not validated
+export default class SchemaRegistry {
+    ajv: Ajv = new Ajv({ allErrors: true });
+    _validators: Map<string, Validators> = new Map();
+
+    constructor(schemas: { [action: string]: ActionSchemas } = {}) {
+        Object.keys(schemas).forEach(action => this.register(action, schemas[action]));
+    }
+
+    // Throws if a schema itself is invalid
+    register(action: string, schemas: ActionSchemas) {
+        const compile = schema => schema ? this.ajv.compile(schema) : null;
+
+        this._validators.set(action, { request: compile(schemas.request), response: compile(schemas.response) });
+    }
+
+    unregister(action: string) {
+        this._validators.delete(action);
+    }
+
+    has(action: string) : boolean {
+        return this._validators.has(action);
+    }
+
+    validate(action: string, direction: ValidationDirection, obj: Object) : ?ValidationError {
+        const validators = this._validators.get(action);
+        const validator = validators ? validators[direction] : null;
+
+        if (!validator || validator(payloadOf(obj))) {
+            return null;
+        }
+
+        return new ValidationError(action, direction, (validator: any).errors || []);
+    }
+}
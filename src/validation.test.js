@@ -0,0 +1,104 @@
+// @flow
+import { ValidationError } from './errors';
+import SchemaRegistry from './validation';
+import { createClient as createMockClient, sleep } from './test_helpers';
+
+const schemas = {
+    move: {
+        request: {
+            type: 'object',
+            required: ['x', 'y'],
+            properties: { x: { type: 'number' }, y: { type: 'number' } },
+            additionalProperties: false,
+        },
+        response: {
+            type: 'object',
+            required: ['ok'],
+            properties: { ok: { type: 'boolean' } },
+        },
+    },
+};
+
+function createClient(validation: Object = {}) {
+    return createMockClient({ validation: { schemas, ...validation } });
+}
+
+describe('SchemaRegistry', () => {
+    const registry = new SchemaRegistry(schemas);
+
+    it('points at the offending path', () => {
+        const error: any = registry.validate('move', 'request', { action: 'move', x: 1, y: 'two' });
+
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.path).toBe('/y');
+        expect(String(error)).toBe('Invalid request for "move" at /y: must be number');
+        expect(registry.validate('move', 'request', { x: 1 })).toMatchObject({ path: '/y' });
+    });
+
+    it('ignores envelope fields and unknown actions', () => {
+        expect(registry.validate('move', 'request', { action: 'move', response_id: 'guid', recipient: 'bob', x: 1, y: 2 })).toBe(null);
+        expect(registry.validate('jump', 'request', { anything: true })).toBe(null);
+    });
+});
+
+describe('Client validation', () => {
+    it('refuses to send invalid requests in strict mode', async () => {
+        const { client, socket } = createClient();
+
+        await expect(client.send({ action: 'move', x: 1 })).rejects.toBeInstanceOf(ValidationError);
+        await expect(client.request('move', { x: 1, y: 2, z: 3 })).rejects.toMatchObject({ path: '/z', direction: 'request' });
+
+        expect(socket.sends).toEqual([]);
+    });
+
+    it('only warns in warn mode', async () => {
+        const { client, socket } = createClient({ mode: 'warn' });
+        const errors = [];
+
+        client.emitter.on('validationError', error => { errors.push(error.path); });
+        await client.send({ action: 'move', x: 1 });
+
+        expect(errors).toEqual(['/y']);
+        expect(socket.sends.length).toBe(1);
+    });
+
+    it('rejects invalid responses from expect', async () => {
+        const { client, socket } = createClient();
+
+        const promise = client.request('move', { x: 1, y: 2 }, { timeout: 100 });
+        await sleep(5);
+
+        socket.mockServerSend({ response_id: socket.popDecoded().response_id, ok: 'yes' });
+
+        await expect(promise).rejects.toMatchObject({ direction: 'response', path: '/ok' });
+    });
+
+    it('answers invalid inbound requests with an error frame', async () => {
+        const { client, socket } = createClient();
+        const handled = [];
+
+        client.handle('move', async (convo, msg) => {
+            handled.push(msg);
+            return { ok: true };
+        });
+
+        socket.mockServerSend({ action: 'move', response_id: 'guid-1', x: 'left', y: 0 });
+        await sleep(5);
+
+        expect(handled).toEqual([]);
+        expect(socket.popDecoded()).toMatchObject({ response_id: 'guid-1', error_data: { code: 'validation_error' } });
+
+        socket.mockServerSend({ action: 'move', response_id: 'guid-2', x: 1, y: 0 });
+        await sleep(5);
+
+        expect(socket.popDecoded()).toEqual({ action: 'move', response_id: 'guid-2', ok: true });
+    });
+
+    it('can be turned off', async () => {
+        const { client, socket } = createClient({ mode: 'off' });
+
+        await client.send({ action: 'move' });
+
+        expect(socket.sends.length).toBe(1);
+    });
+});